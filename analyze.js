@@ -0,0 +1,319 @@
+/**
+ * ============================================================================
+ * DECK STATISTICS COMMAND LINE
+ * ============================================================================
+ *
+ * Runs calculateDeckStatistics on raw decks from a file, stdin or one of the
+ * bundled datasets and prints the result. Input files may be JSON (an array
+ * of raw decks, as written by importLimitless.js), CSV (a header row with
+ * deck_name,count,wins,losses,ties and optionally date) or JS (a
+ * `const decks = [...]` array, as written by importLimitless.js --format js).
+ *
+ * Usage: node analyze.js [--input FILE|- | --dataset ID] [--input-format json|csv|js]
+ *                        [--profile NAME] [--tier S | --tier C:S+] [--where '{"win_rate":{"min":55}}']
+ *                        [--top N] [--fields rank,deck_name,...]
+ *                        [--format table|json|csv|markdown|tiers] [--out FILE]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { calculateDeckReport, filterDecks, resolveConfig } = require('./conditions.js');
+const { DEFAULT_DATASET_ID, getDataset } = require('./datasets.js');
+const { exportDecks } = require('./exporters.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const ANALYZE_DEFAULTS = {
+  input: null,
+  inputFormat: null,
+  dataset: null,
+  profile: null,
+  tier: null,
+  where: null,
+  top: null,
+  fields: ['rank', 'deck_name', 'tier_display', 'rating', 'win_rate', 'share', 'total_matches', 'count'],
+  format: 'table',
+  out: null
+};
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv', 'markdown', 'tiers'];
+const INPUT_FORMATS = ['json', 'csv', 'js'];
+
+// Raw deck fields that are read as numbers from CSV input
+const NUMERIC_INPUT_FIELDS = ['count', 'wins', 'losses', 'ties'];
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+// Splits CSV text into rows of cells, honouring quoted cells ("a, ""b""")
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const parseDecksCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  const columns = (header || []).map(name => name.trim());
+  if (!columns.includes('deck_name')) {
+    throw new Error('CSV input needs a header row with a deck_name column');
+  }
+
+  return rows.map(cells => {
+    const deck = {};
+    columns.forEach((column, i) => {
+      const value = (cells[i] || '').trim();
+      // Blank numeric cells stay undefined so validation rejects them instead of reading 0
+      deck[column] = NUMERIC_INPUT_FIELDS.includes(column) ? (value === '' ? undefined : Number(value)) : value;
+    });
+    if (!deck.date) delete deck.date;
+    return deck;
+  });
+};
+
+// Evaluates a `const decks = [...]` file (or a module exporting decks) in a sandbox
+const parseDecksJs = (code) => {
+  const sandbox = { module: { exports: {} } };
+  sandbox.exports = sandbox.module.exports;
+  const result = vm.runInNewContext(
+    `${code}\n;typeof decks !== 'undefined' ? decks : module.exports`, sandbox, { timeout: 5000 });
+  return Array.isArray(result) ? result : result && result.decks;
+};
+
+const parseDecksJson = (text) => {
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : data && data.decks;
+};
+
+// Format from the file extension, otherwise sniffed from the content
+const detectInputFormat = (text, file) => {
+  const extension = file ? path.extname(file).slice(1).toLowerCase() : '';
+  if (INPUT_FORMATS.includes(extension)) return extension;
+
+  const start = text.trimStart();
+  if (start.startsWith('[') || start.startsWith('{')) return 'json';
+  if (/^(const|let|var|module\.exports)\b/m.test(start)) return 'js';
+  return 'csv';
+};
+
+const parseDecks = (text, format) => {
+  const parsers = { json: parseDecksJson, csv: parseDecksCsv, js: parseDecksJs };
+  const decks = parsers[format](text);
+  if (!Array.isArray(decks)) {
+    throw new Error(`No decks array found in the ${format.toUpperCase()} input`);
+  }
+  return decks;
+};
+
+const readStdin = () => fs.readFileSync(0, 'utf8');
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+// "S" = exactly S, "C:S+" = between C and S+ (inclusive); keys or display names
+const parseTierFilter = (spec) => {
+  const [min, max = min] = String(spec).split(':').map(tier => tier.trim());
+  return { tier: { min, max } };
+};
+
+const buildConditions = ({ tier, where }) => {
+  const conditions = where ? JSON.parse(where) : {};
+  return tier ? { ...conditions, ...parseTierFilter(tier) } : conditions;
+};
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+const formatCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number' && !Number.isInteger(value)) return String(Math.round(value * 100) / 100);
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const formatTable = (decks, fields) => {
+  const rows = decks.map(deck => fields.map(field => formatCell(deck[field])));
+  const widths = fields.map((field, i) => rows.reduce((width, row) => Math.max(width, row[i].length), field.length));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    formatRow(fields),
+    formatRow(widths.map(width => '-'.repeat(width))),
+    ...rows.map(formatRow)
+  ].join('\n') + '\n';
+};
+
+// CSV, Markdown and the tier summary come from exporters.js; JSON keeps every
+// field unless --fields was given
+const formatDecks = (decks, { format, fields, profile = null }) => {
+  if (format === 'json' && !fields) return JSON.stringify(decks, null, 2) + '\n';
+  const columns = fields || ANALYZE_DEFAULTS.fields;
+  return format === 'table'
+    ? formatTable(decks, columns)
+    : exportDecks(decks, format, columns, resolveConfig({ profile }));
+};
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+// Profile → calculate → filter → top N; returns the validation report with the selected decks
+const analyzeDecks = (rawDecks, overrides = {}) => {
+  const options = { ...ANALYZE_DEFAULTS, ...overrides };
+  const report = calculateDeckReport(rawDecks, { profile: options.profile });
+  const filtered = filterDecks(report.decks, buildConditions(options), resolveConfig({ profile: options.profile }));
+  return { ...report, decks: options.top ? filtered.slice(0, options.top) : filtered };
+};
+
+const formatMerge = ({ deck_name, sources, records }) => {
+  const spellings = [...new Set(sources)].filter(name => name !== deck_name);
+  return `Merged ${records} record${records === 1 ? '' : 's'} into ${deck_name}` +
+    (spellings.length > 0 ? ` (also spelled ${spellings.join(', ')})` : '');
+};
+
+const formatValidationReport = ({ warnings, rejected, merges = [] }) => {
+  return [
+    ...rejected.map(entry => `Skipped record ${entry.index} (${entry.deck_name || 'unnamed'}): ${entry.reasons.join('; ')}`),
+    ...warnings.map(entry => `Warning for record ${entry.index} (${entry.deck_name || 'unnamed'}): ${entry.reasons.join('; ')}`),
+    ...merges.map(formatMerge)
+  ];
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+const CLI_FLAGS = {
+  '--input': 'input',
+  '--input-format': 'inputFormat',
+  '--dataset': 'dataset',
+  '--profile': 'profile',
+  '--tier': 'tier',
+  '--where': 'where',
+  '--top': 'top',
+  '--fields': 'fields',
+  '--format': 'format',
+  '--out': 'out'
+};
+
+const parseArgs = (argv) => {
+  const args = { ...ANALYZE_DEFAULTS, fields: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = CLI_FLAGS[argv[i]];
+    if (!key || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    if (key === 'top') {
+      args.top = Number(argv[i + 1]);
+    } else if (key === 'fields') {
+      args.fields = argv[i + 1].split(',').map(field => field.trim()).filter(Boolean);
+    } else {
+      args[key] = argv[i + 1];
+    }
+  }
+
+  if (!OUTPUT_FORMATS.includes(args.format)) {
+    throw new Error(`Unknown format "${args.format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  if (args.inputFormat && !INPUT_FORMATS.includes(args.inputFormat)) {
+    throw new Error(`Unknown input format "${args.inputFormat}" (expected ${INPUT_FORMATS.join(', ')})`);
+  }
+  if (args.top !== null && !(Number.isInteger(args.top) && args.top > 0)) {
+    throw new Error('--top must be a positive integer');
+  }
+  return args;
+};
+
+// --input wins, then --dataset, then piped stdin, then the default dataset
+const loadRawDecks = ({ input, inputFormat, dataset }) => {
+  const piped = !input && !dataset && !process.stdin.isTTY ? readStdin() : '';
+  if (input === '-' || piped.trim()) {
+    const text = input === '-' ? readStdin() : piped;
+    return parseDecks(text, inputFormat || detectInputFormat(text, null));
+  }
+  if (input) {
+    const text = fs.readFileSync(input, 'utf8');
+    return parseDecks(text, inputFormat || detectInputFormat(text, input));
+  }
+
+  const selected = getDataset(dataset || DEFAULT_DATASET_ID);
+  if (!selected) {
+    throw new Error(`Unknown dataset "${dataset}"`);
+  }
+  return selected.decks;
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const rawDecks = loadRawDecks(args);
+  const report = analyzeDecks(rawDecks, args);
+  const { decks } = report;
+  formatValidationReport(report).forEach(line => console.error(line));
+
+  const output = formatDecks(decks, args);
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+  if (args.format === 'table') {
+    console.error(`Showing ${decks.length} decks from ${rawDecks.length} raw records`);
+  }
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ANALYZE_DEFAULTS, parseCsvRows, parseDecksCsv, parseDecksJs, detectInputFormat, parseDecks,
+  parseTierFilter, analyzeDecks, formatValidationReport, formatDecks
+};
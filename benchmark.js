@@ -0,0 +1,209 @@
+/**
+ * ============================================================================
+ * PIPELINE BENCHMARK
+ * ============================================================================
+ *
+ * Times calculateDeckReport on synthetic datasets of increasing size and
+ * breaks each run down by pipeline stage (see PIPELINE_STAGES). For the
+ * smaller sizes it also checks every percentile against the original
+ * definition (share of values strictly below), so faster implementations
+ * can be verified to give exactly the same results.
+ *
+ * Usage: node benchmark.js [--sizes 1000,10000,100000] [--runs 3]
+ *                          [--check-limit 5000] [--seed 1] [--bootstrap false]
+ */
+
+const { calculateDeckReport, createSeededRandom, PIPELINE_STAGES } = require('./conditions.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const BENCHMARK_DEFAULTS = {
+  sizes: [1000, 10000, 100000],
+  runs: 3,
+  checkLimit: 5000, // The reference check is O(n²), so larger sizes skip it
+  seed: 1,
+  bootstrap: false
+};
+
+const PERCENTILE_FIELDS = [
+  'rating', 'count', 'total_matches', 'win_rate', 'adjusted_win_rate', 'avg_tournament_depth', 'meta_impact'
+];
+
+// ============================================================================
+// SYNTHETIC DATA
+// ============================================================================
+
+// Long-tailed popularity like real formats: a few decks with thousands of
+// entries, most with a handful. Integer records, so ties in every metric are common.
+const generateDecks = (size, seed = BENCHMARK_DEFAULTS.seed) => {
+  const random = createSeededRandom(seed);
+  return Array.from({ length: size }, (_, i) => {
+    const count = Math.max(1, Math.round(5000 / Math.pow(i + 1, 0.9) * (0.5 + random())));
+    const matches = Math.max(1, Math.round(count * (2 + random() * 3)));
+    const winRate = 0.35 + random() * 0.3;
+    const ties = Math.round(matches * random() * 0.02);
+    const wins = Math.round((matches - ties) * winRate);
+    return { deck_name: `Synthetic-${i + 1}`, count, wins, losses: matches - ties - wins, ties };
+  });
+};
+
+// ============================================================================
+// REFERENCE CHECK
+// ============================================================================
+
+// The original definition: share of values strictly below value, one full scan per call
+const referencePercentile = (value, values) => {
+  const rank = values.filter(v => v < value).length;
+  return Math.round((rank / values.length) * 100 * 1000) / 1000;
+};
+
+// Number of deck fields that differ from the reference percentiles
+const countPercentileMismatches = (decks) => {
+  return PERCENTILE_FIELDS.reduce((mismatches, field) => {
+    const values = decks.map(deck => deck[field]);
+    return mismatches + decks.filter(deck => deck[`${field}_pct`] !== referencePercentile(deck[field], values)).length;
+  }, 0);
+};
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+
+// One calculateDeckReport call; stage durations are measured between onProgress calls
+const timeReport = (rawDecks, options) => {
+  const stageTimes = {};
+  let currentStage = null;
+  let stageStart = 0;
+  const endStage = (now) => {
+    if (currentStage) stageTimes[currentStage] = (stageTimes[currentStage] || 0) + now - stageStart;
+  };
+
+  const start = performance.now();
+  const report = calculateDeckReport(rawDecks, {
+    bootstrap: options.bootstrap,
+    onProgress: (stage) => {
+      const now = performance.now();
+      endStage(now);
+      currentStage = stage;
+      stageStart = now;
+    }
+  });
+  const end = performance.now();
+  endStage(end);
+
+  return { report, total: end - start, stageTimes };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Median timings per size: { size, total, stages: { stage: ms }, mismatches (null = not checked) }
+const runBenchmark = (overrides = {}) => {
+  const options = { ...BENCHMARK_DEFAULTS, ...overrides };
+  return options.sizes.map(size => {
+    const rawDecks = generateDecks(size, options.seed);
+    const runs = Array.from({ length: options.runs }, () => timeReport(rawDecks, options));
+
+    const stages = {};
+    PIPELINE_STAGES.forEach(stage => {
+      if (stage in runs[0].stageTimes) stages[stage] = median(runs.map(run => run.stageTimes[stage]));
+    });
+
+    return {
+      size,
+      total: median(runs.map(run => run.total)),
+      stages,
+      mismatches: size <= options.checkLimit ? countPercentileMismatches(runs[0].report.decks) : null
+    };
+  });
+};
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+const formatResults = (results) => {
+  const stages = PIPELINE_STAGES.filter(stage => results.some(result => stage in result.stages));
+  const header = ['Decks', 'Total ms', ...stages, 'Percentile check'];
+  const rows = results.map(result => [
+    result.size.toLocaleString(),
+    result.total.toFixed(1),
+    ...stages.map(stage => (result.stages[stage] || 0).toFixed(1)),
+    result.mismatches === null ? 'skipped' : result.mismatches === 0 ? 'exact' : `${result.mismatches} mismatches`
+  ]);
+
+  const widths = header.map((title, i) => rows.reduce((width, row) => Math.max(width, row[i].length), title.length));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    formatRow(header),
+    formatRow(widths.map(width => '-'.repeat(width))),
+    ...rows.map(formatRow)
+  ].join('\n') + '\n';
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+const CLI_FLAGS = {
+  '--sizes': 'sizes',
+  '--runs': 'runs',
+  '--check-limit': 'checkLimit',
+  '--seed': 'seed',
+  '--bootstrap': 'bootstrap'
+};
+
+const parseArgs = (argv) => {
+  const args = { ...BENCHMARK_DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = CLI_FLAGS[argv[i]];
+    if (!key || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    if (key === 'sizes') {
+      args.sizes = argv[i + 1].split(',').map(Number);
+    } else if (key === 'bootstrap') {
+      args.bootstrap = argv[i + 1] === 'true';
+    } else {
+      args[key] = Number(argv[i + 1]);
+    }
+  }
+
+  if (args.sizes.some(size => !(Number.isInteger(size) && size > 0))) {
+    throw new Error('--sizes must be a comma-separated list of positive integers');
+  }
+  if (!(Number.isInteger(args.runs) && args.runs > 0)) {
+    throw new Error('--runs must be a positive integer');
+  }
+  return args;
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const results = runBenchmark(args);
+  process.stdout.write(formatResults(results));
+  if (results.some(result => result.mismatches > 0)) {
+    process.exitCode = 1;
+  }
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { BENCHMARK_DEFAULTS, generateDecks, runBenchmark, formatResults };
@@ -0,0 +1,169 @@
+/**
+ * ============================================================================
+ * DECK COMPARISON
+ * ============================================================================
+ *
+ * Side-by-side comparison of a few enriched decks (e.g. two close builds of
+ * the same archetype): every metric with the better value marked, plus a
+ * two-proportion z-test per pair of decks on whether their tie-adjusted
+ * win-rate difference is larger than their records can explain by chance.
+ * With more than two decks the p-values are Holm-corrected, so comparing
+ * several pairs doesn't make a false "significant" more likely.
+ */
+
+const comparisonStats = typeof module !== 'undefined' && module.exports
+  ? require('./conditions.js')
+  : window;
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+// better: 'higher' | 'lower' | 'tier' marks the winning value; null = no
+// better side (popularity and sample size describe a deck, they don't rank it)
+const COMPARISON_FIELDS = [
+  { field: 'rank', label: 'Rank', better: 'lower' },
+  { field: 'tier_display', label: 'Tier', better: 'tier' },
+  { field: 'rating', label: 'Rating', better: 'higher' },
+  { field: 'win_rate', label: 'Win rate %', better: 'higher' },
+  { field: 'adjusted_win_rate', label: 'Adjusted win rate %', better: 'higher' },
+  { field: 'avg_tournament_depth', label: 'Avg tournament depth', better: 'higher' },
+  { field: 'meta_impact', label: 'Meta impact', better: 'higher' },
+  { field: 'rank_ci_low', label: 'Rank interval (best)', better: 'lower' },
+  { field: 'rank_ci_high', label: 'Rank interval (worst)', better: 'lower' },
+  { field: 'tier_probability', label: 'Tier probability', better: 'higher' },
+  { field: 'share', label: 'Share of matches %', better: null },
+  { field: 'tournament_share', label: 'Share of entries %', better: null },
+  { field: 'share_compared_to_most_played_deck', label: 'Share vs. most played %', better: null },
+  { field: 'count', label: 'Entries', better: null },
+  { field: 'total_matches', label: 'Matches', better: null },
+  { field: 'effective_matches', label: 'Effective matches', better: null },
+  { field: 'wins', label: 'Wins', better: null },
+  { field: 'losses', label: 'Losses', better: null },
+  { field: 'ties', label: 'Ties', better: null },
+  { field: 'rating_pct', label: 'Rating percentile', better: 'higher' },
+  { field: 'win_rate_pct', label: 'Win rate percentile', better: 'higher' },
+  { field: 'adjusted_win_rate_pct', label: 'Adjusted win rate percentile', better: 'higher' },
+  { field: 'avg_tournament_depth_pct', label: 'Depth percentile', better: 'higher' },
+  { field: 'meta_impact_pct', label: 'Meta impact percentile', better: 'higher' },
+  { field: 'count_pct', label: 'Entries percentile', better: null },
+  { field: 'total_matches_pct', label: 'Matches percentile', better: null }
+];
+
+// Two-sided significance level for the win-rate test
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// The normal approximation needs at least this many wins and non-wins per deck
+const MIN_EXPECTED_OUTCOMES = 5;
+
+// ============================================================================
+// BEST VALUES
+// ============================================================================
+
+const getComparableValue = (value, better, config) => {
+  if (better === 'tier') return comparisonStats.getTierStrength(value, config);
+  return better === 'lower' ? -value : value;
+};
+
+// Indexes of the decks holding the best value; none when all are equal or the
+// field has no better side
+const getBestIndexes = (values, better, config) => {
+  if (!better) return [];
+  const comparable = values.map(value => typeof value === 'number' || better === 'tier'
+    ? getComparableValue(value, better, config)
+    : null);
+  const present = comparable.filter(value => value !== null && value !== undefined && !Number.isNaN(value));
+  if (present.length < 2) return [];
+
+  const best = Math.max(...present);
+  if (present.every(value => value === best)) return [];
+  return comparable.map((value, i) => value === best ? i : -1).filter(i => i !== -1);
+};
+
+// ============================================================================
+// WIN-RATE TEST
+// ============================================================================
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Two-proportion z-test on the tie-adjusted win rate (adjusted_win_rate, the
+// one the comparison table shows). Time-decayed records count their effective
+// (Kish) sample size rather than their weighted match total.
+const testWinRateDifference = (deckA, deckB, alpha = SIGNIFICANCE_LEVEL) => {
+  const sampleSize = deck => deck.effective_matches || deck.total_matches;
+  const nA = sampleSize(deckA);
+  const nB = sampleSize(deckB);
+  const pA = deckA.adjusted_win_rate / 100;
+  const pB = deckB.adjusted_win_rate / 100;
+
+  const pooled = (pA * nA + pB * nB) / (nA + nB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / nA + 1 / nB));
+  const z = standardError > 0 ? (pA - pB) / standardError : 0;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  const smallSample = [[pA, nA], [pB, nB]]
+    .some(([p, n]) => n * p < MIN_EXPECTED_OUTCOMES || n * (1 - p) < MIN_EXPECTED_OUTCOMES);
+
+  return {
+    deck_a: deckA.deck_name,
+    deck_b: deckB.deck_name,
+    win_rate_a: Math.round(pA * 100000) / 1000,
+    win_rate_b: Math.round(pB * 100000) / 1000,
+    difference: Math.round((pA - pB) * 100000) / 1000, // Percentage points, A − B
+    z: Math.round(z * 1000) / 1000,
+    p_value: Math.round(pValue * 10000) / 10000,
+    p_value_adjusted: Math.round(pValue * 10000) / 10000, // Set by applyHolmCorrection
+    significant: pValue < alpha,
+    small_sample: smallSample
+  };
+};
+
+// Holm-Bonferroni step-down: the k-th smallest of m p-values is multiplied by
+// (m - k + 1), kept monotonic, and compared with alpha
+const applyHolmCorrection = (tests, alpha = SIGNIFICANCE_LEVEL) => {
+  const order = tests.map((test, i) => i).sort((a, b) => tests[a].p_value - tests[b].p_value);
+  const adjusted = [];
+  let running = 0;
+  order.forEach((index, k) => {
+    running = Math.max(running, Math.min(1, (tests.length - k) * tests[index].p_value));
+    adjusted[index] = Math.round(running * 10000) / 10000;
+  });
+  return tests.map((test, i) => ({ ...test, p_value_adjusted: adjusted[i], significant: adjusted[i] < alpha }));
+};
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+// { rows: [{ field, label, values, best }], tests: [one per pair of decks] };
+// config: the one the decks were calculated with, for tier order
+const compareDecks = (decks, fields = COMPARISON_FIELDS, config = comparisonStats.CONFIG) => {
+  const rows = fields
+    .filter(({ field }) => decks.some(deck => deck[field] !== undefined))
+    .map(({ field, label, better }) => {
+      const values = decks.map(deck => deck[field]);
+      return { field, label, values, best: getBestIndexes(values, better, config) };
+    });
+
+  const tests = decks.flatMap((deckA, i) => decks.slice(i + 1).map(deckB => testWinRateDifference(deckA, deckB)));
+  return { rows, tests: applyHolmCorrection(tests) };
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { COMPARISON_FIELDS, SIGNIFICANCE_LEVEL, compareDecks, testWinRateDifference, applyHolmCorrection };
+} else if (typeof window !== 'undefined') {
+  window.COMPARISON_FIELDS = COMPARISON_FIELDS;
+  window.SIGNIFICANCE_LEVEL = SIGNIFICANCE_LEVEL;
+  window.compareDecks = compareDecks;
+  window.testWinRateDifference = testWinRateDifference;
+}
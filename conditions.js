@@ -6,8 +6,9 @@
  * Calculates comprehensive tournament deck statistics including win rates,
  * rankings, tiers, and meta impact using hierarchical Bayesian analysis.
  * 
- * Pipeline: Basic Metrics → Share Metrics → Meta Impact → Bayesian Ratings
- *           → Tiers → Rankings → Percentiles → Display Formatting
+ * Pipeline: Record Validation → Time Decay (dated input) → Name Canonicalization → Basic Metrics
+ *           → Share Metrics → Meta Impact → Bayesian Ratings → Tiers → Rankings
+ *           → Percentiles → Display Formatting → Rank Intervals (bootstrap)
  */
 
 // ============================================================================
@@ -90,7 +91,269 @@ const CONFIG = {
   tierDisplay: {
     'Splus': 'S+', 'X': 'X', 'S': 'S', 'A': 'A', 'B': 'B',
     'C': 'C', 'D': 'D', 'E': 'E', 'F': 'F', 'Unranked': 'Unranked'
+  },
+  tiering: {
+    // MODE (How ratings become tiers)
+    // • 'absolute' = Fixed rating thresholds from CONFIG.tiers (tuned for huge datasets)
+    // • 'relative' = Tiers from each deck's place in the rating distribution of its field
+    // • 'auto' = Relative below relativeBelowMatches total matches, absolute otherwise
+    // Effect: Small events get a usable tier list instead of nearly everything Unranked
+    mode: 'auto',
+    relativeBelowMatches: 10000,
+
+    // RELATIVE METHOD
+    // • 'zscore' = Standard deviations above/below the field's mean rating
+    // • 'percentile' = Percentile bands of the rating distribution
+    // Both are weighted by matches played, so a long tail of barely played decks
+    // doesn't push everyone else up
+    relativeMethod: 'zscore',
+
+    // Minimum z-score / percentile per tier (same keys and order as CONFIG.tiers)
+    zScores: { X: 3.0, Splus: 2.5, S: 2.0, A: 1.5, B: 1.0, C: 0.5, D: 0, E: -0.5, F: -1.0 },
+    percentiles: { X: 99.5, Splus: 98, S: 95, A: 90, B: 80, C: 65, D: 50, E: 35, F: 20 }
+  },
+  canonicalization: {
+    // ORDER INSENSITIVE (Pokémon Sets)
+    // Treats names with the same Pokémon in a different order as one deck
+    // Example: "Greninja Suicune ex" and "Suicune ex Greninja" are merged
+    orderInsensitive: true,
+
+    // ALIASES (Explicit Renames)
+    // Applied before anything else, case-insensitive: { 'Old Name': 'Canonical Name' }
+    aliases: {},
+
+    // Words that belong to the following word ("Tapu Koko", "Alolan Raichu")
+    // Possessives such as "Cynthia's" or "N's" are always treated as prefixes
+    prefixes: [
+      'Alolan', 'Galarian', 'Hisuian', 'Paldean', 'Mega', 'Tapu', 'Ultra', 'Origin', 'Forme', 'Type:',
+      'Raging', 'Iron', 'Roaring', 'Walking', 'Great', 'Gouging', 'Sandy', 'Scream', 'Brute', 'Flutter', 'Slither',
+      'Heat', 'Wash', 'Frost', 'Fan', 'Mow', 'Tera', 'Ancient', 'Future', 'Poison', 'Festival', 'United'
+    ],
+
+    // Words that belong to the preceding word ("Pikachu ex", "Joltik Box")
+    suffixes: ['ex', 'Box', 'Control', 'Mill', 'Lead']
+  },
+  timeDecay: {
+    // Only applies to dated per-tournament records:
+    // { deck_name, date, count, wins, losses, ties }
+
+    // HALF-LIFE (Days)
+    // A result this many days older than the reference date counts half as much
+    // • Lower values (7) = Tiers react quickly to a shifting meta
+    // • Higher values (30+) = Smoother tiers, older results still matter
+    // • null = No decay, every result inside the window counts fully
+    halfLifeDays: 14,
+
+    // HARD WINDOW (Days)
+    // Results older than this are dropped entirely (null = keep everything)
+    windowDays: null,
+
+    // REFERENCE DATE
+    // Ages are measured from this date (null = newest record in the data)
+    referenceDate: null
+  },
+  bootstrap: {
+    // Only used with calculateDeckStatistics(rawDecks, { bootstrap: true })
+
+    // ITERATIONS (Resamples)
+    // Each resample redraws every deck's matches from its own W/L/T record
+    // and reruns the rating pipeline
+    // • Higher values = Smoother intervals, slower
+    iterations: 200,
+
+    // SEED
+    // Fixed so the same data always produces the same intervals
+    seed: 42,
+
+    // CONFIDENCE (Interval width)
+    // 0.9 = rank_ci_low/rank_ci_high cover the middle 90% of resampled ranks
+    confidence: 0.9
+  }
+};
+
+// ============================================================================
+// CONFIG PROFILES
+// ============================================================================
+//
+// Named overrides on top of the defaults above. Select one with
+// applyConfigProfile(name); 'large-meta' is the default tuning.
+
+const CONFIG_PROFILES = {
+  'large-meta': {
+    description: 'Format-wide data with tens of thousands of matches (default tuning)',
+    overrides: {}
+  },
+  'single-event': {
+    description: 'A single tournament or a few hundred players',
+    overrides: {
+      bayesian: {
+        // Small samples already carry wide posteriors; full z-scores leave almost every deck Unranked
+        winRateZScore: 2.0,
+        shareZScore: 1.0,
+        // Reach full confidence at a few thousand matches instead of tens of thousands
+        metaAdjustmentK: 500
+      }
+    }
+  }
+};
+
+// Deep copy of the defaults, so profiles always apply on top of the same base
+const BASE_CONFIG = JSON.parse(JSON.stringify(CONFIG));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const deepMerge = (base, overrides) => {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  });
+  return merged;
+};
+
+// ============================================================================
+// CONFIG VALIDATION
+// ============================================================================
+
+const WEIGHT_TOLERANCE = 1e-9;
+
+const validateConfig = (config) => {
+  const errors = [];
+  const { bayesian, tiers, tierDisplay, tiering, timeDecay, canonicalization, bootstrap } = config;
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  // Every Bayesian parameter must be a finite number
+  Object.keys(BASE_CONFIG.bayesian).forEach(key => {
+    if (!isNumber(bayesian[key])) errors.push(`bayesian.${key} must be a finite number`);
+  });
+  if (errors.length > 0) return errors;
+
+  if (Math.abs(bayesian.winRateWeight + bayesian.shareWeight - 1) > WEIGHT_TOLERANCE) {
+    errors.push(`bayesian.winRateWeight + bayesian.shareWeight must sum to 1.0 (got ${bayesian.winRateWeight + bayesian.shareWeight})`);
+  }
+  ['winRateWeight', 'shareWeight', 'tieWeight'].forEach(key => {
+    if (bayesian[key] < 0 || bayesian[key] > 1) errors.push(`bayesian.${key} must be between 0 and 1`);
+  });
+  ['winRateZScore', 'shareZScore'].forEach(key => {
+    if (bayesian[key] < 0) errors.push(`bayesian.${key} must not be negative`);
+  });
+  ['metaAdjustmentK', 'sharePenaltyK', 'ratingScale', 'varianceMin', 'alphaMin', 'betaMin'].forEach(key => {
+    if (bayesian[key] <= 0) errors.push(`bayesian.${key} must be greater than 0`);
+  });
+  if (bayesian.meanMin <= 0 || bayesian.meanMax >= 1) {
+    errors.push('bayesian.meanMin and bayesian.meanMax must lie strictly between 0 and 1');
+  }
+  if (bayesian.meanMin >= bayesian.meanMax) {
+    errors.push(`bayesian.meanMin (${bayesian.meanMin}) must be below bayesian.meanMax (${bayesian.meanMax})`);
+  }
+  if (bayesian.varianceMaxScale <= 0 || bayesian.varianceMaxScale > 1) {
+    errors.push('bayesian.varianceMaxScale must be greater than 0 and at most 1');
   }
+
+  // Tier thresholds must be numbers in strictly decreasing order (best tier first)
+  const tierEntries = Object.entries(tiers || {});
+  if (tierEntries.length === 0) errors.push('tiers must define at least one threshold');
+  tierEntries.forEach(([tier, threshold], i) => {
+    if (!isNumber(threshold)) {
+      errors.push(`tiers.${tier} must be a finite number`);
+    } else if (i > 0 && isNumber(tierEntries[i - 1][1]) && threshold >= tierEntries[i - 1][1]) {
+      errors.push(`tiers must be monotonic: ${tier} (${threshold}) must be below ${tierEntries[i - 1][0]} (${tierEntries[i - 1][1]})`);
+    }
+  });
+  [...tierEntries.map(([tier]) => tier), 'Unranked'].forEach(tier => {
+    if (!tierDisplay || typeof tierDisplay[tier] !== 'string') errors.push(`tierDisplay.${tier} is missing`);
+  });
+
+  if (tiering) {
+    if (!['absolute', 'relative', 'auto'].includes(tiering.mode)) {
+      errors.push(`tiering.mode must be 'absolute', 'relative' or 'auto' (got '${tiering.mode}')`);
+    }
+    if (!['zscore', 'percentile'].includes(tiering.relativeMethod)) {
+      errors.push(`tiering.relativeMethod must be 'zscore' or 'percentile' (got '${tiering.relativeMethod}')`);
+    }
+    if (!isNumber(tiering.relativeBelowMatches)) errors.push('tiering.relativeBelowMatches must be a finite number');
+    ['zScores', 'percentiles'].forEach(key => {
+      const bands = tiering[key] || {};
+      tierEntries.forEach(([tier], i) => {
+        if (!isNumber(bands[tier])) {
+          errors.push(`tiering.${key}.${tier} must be a finite number`);
+        } else if (i > 0 && isNumber(bands[tierEntries[i - 1][0]]) && bands[tier] >= bands[tierEntries[i - 1][0]]) {
+          errors.push(`tiering.${key} must be monotonic: ${tier} must be below ${tierEntries[i - 1][0]}`);
+        }
+      });
+    });
+  }
+
+  if (timeDecay) {
+    ['halfLifeDays', 'windowDays'].forEach(key => {
+      const value = timeDecay[key];
+      if (value !== null && value !== undefined && !(isNumber(value) && value > 0)) {
+        errors.push(`timeDecay.${key} must be null or a number greater than 0`);
+      }
+    });
+  }
+
+  if (canonicalization !== undefined) {
+    if (!isPlainObject(canonicalization)) {
+      errors.push('canonicalization must be an object');
+    } else {
+      if (typeof canonicalization.orderInsensitive !== 'boolean') {
+        errors.push('canonicalization.orderInsensitive must be true or false');
+      }
+      ['prefixes', 'suffixes'].forEach(key => {
+        const words = canonicalization[key];
+        if (!Array.isArray(words) || words.some(word => typeof word !== 'string' || word.trim() === '')) {
+          errors.push(`canonicalization.${key} must be an array of non-empty strings`);
+        }
+      });
+      const { aliases } = canonicalization;
+      if (!isPlainObject(aliases)) {
+        errors.push('canonicalization.aliases must be an object of { \'Old Name\': \'Canonical Name\' }');
+      } else {
+        Object.entries(aliases)
+          .filter(([, to]) => typeof to !== 'string' || to.trim() === '')
+          .forEach(([from]) => errors.push(`canonicalization.aliases["${from}"] must be a non-empty deck name`));
+      }
+    }
+  }
+
+  if (bootstrap !== undefined && !isPlainObject(bootstrap)) {
+    errors.push('bootstrap must be an object');
+  } else if (bootstrap) {
+    if (!(Number.isInteger(bootstrap.iterations) && bootstrap.iterations > 0)) {
+      errors.push('bootstrap.iterations must be a positive integer');
+    }
+    if (!isNumber(bootstrap.seed)) errors.push('bootstrap.seed must be a finite number');
+    if (!(isNumber(bootstrap.confidence) && bootstrap.confidence > 0 && bootstrap.confidence < 1)) {
+      errors.push('bootstrap.confidence must be between 0 and 1 (exclusive)');
+    }
+  }
+
+  return errors;
+};
+
+const assertValidConfig = (config) => {
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid CONFIG: ${errors.join('; ')}`);
+  }
+};
+
+const getProfileOverrides = (name) => {
+  const profile = CONFIG_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown config profile "${name}" (available: ${Object.keys(CONFIG_PROFILES).join(', ')})`);
+  }
+  return profile.overrides;
+};
+
+// Replaces CONFIG's contents with the defaults plus the named profile's overrides.
+// Deep-copied, since deepMerge shares untouched sections with BASE_CONFIG and
+// later edits to CONFIG must not leak into the defaults.
+const applyConfigProfile = (name) => {
+  const merged = JSON.parse(JSON.stringify(deepMerge(BASE_CONFIG, getProfileOverrides(name))));
+  assertValidConfig(merged);
+  Object.keys(merged).forEach(key => { CONFIG[key] = merged[key]; });
+  return CONFIG;
 };
 
 // ============================================================================
@@ -99,13 +362,27 @@ const CONFIG = {
 
 const round3 = (num) => Math.round(num * 1000) / 1000;
 
+// Number of values strictly below value in an ascending array (binary search)
+const countBelow = (sortedArray, value) => {
+  let low = 0;
+  let high = sortedArray.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (sortedArray[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Share of values strictly below value, so tied values all get the percentile
+// of the first of them (the lowest value is always 0)
 const calculatePercentile = (value, sortedArray) => {
-  const rank = sortedArray.filter(v => v < value).length;
+  const rank = countBelow(sortedArray, value);
   return round3((rank / sortedArray.length) * 100);
 };
 
 const formatWithK = (num) => {
-  if (num < 1000) return num.toString();
+  if (num < 1000) return Math.round(num).toString();
   const k = num / 1000;
   if (k >= 5) return Math.floor(k) + 'k+';
   const rounded = Math.round(k * 10) / 10;
@@ -118,53 +395,59 @@ const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
 // BAYESIAN ALGORITHM
 // ============================================================================
 
-const getMetaAdjustmentFactor = (totalInstances) => {
-  return 1 - Math.exp(-totalInstances / CONFIG.bayesian.metaAdjustmentK);
+// Helpers take the bayesian section of the config for the current call
+// (defaults to CONFIG.bayesian)
+
+const getMetaAdjustmentFactor = (totalInstances, bayesian = CONFIG.bayesian) => {
+  return 1 - Math.exp(-totalInstances / bayesian.metaAdjustmentK);
 };
 
-const calculateSharePenalty = (share) => {
-  return 1 - Math.exp(-CONFIG.bayesian.sharePenaltyK * share);
+const calculateSharePenalty = (share, bayesian = CONFIG.bayesian) => {
+  return 1 - Math.exp(-bayesian.sharePenaltyK * share);
 };
 
-const calculateBetaParams = (mean, variance) => {
-  const clampedMean = clamp(mean, CONFIG.bayesian.meanMin, CONFIG.bayesian.meanMax);
+const calculateBetaParams = (mean, variance, bayesian = CONFIG.bayesian) => {
+  const clampedMean = clamp(mean, bayesian.meanMin, bayesian.meanMax);
   const maxVar = clampedMean * (1 - clampedMean);
-  const clampedVar = clamp(variance, CONFIG.bayesian.varianceMin, maxVar * CONFIG.bayesian.varianceMaxScale);
+  const clampedVar = clamp(variance, bayesian.varianceMin, maxVar * bayesian.varianceMaxScale);
   const scale = (clampedMean * (1 - clampedMean)) / clampedVar - 1;
   
   return {
-    alpha: Math.max(CONFIG.bayesian.alphaMin, clampedMean * scale),
-    beta: Math.max(CONFIG.bayesian.betaMin, (1 - clampedMean) * scale)
+    alpha: Math.max(bayesian.alphaMin, clampedMean * scale),
+    beta: Math.max(bayesian.betaMin, (1 - clampedMean) * scale)
   };
 };
 
-const hierarchicalBayesianHybrid = (allData) => {
+// With explain: true, each deck keeps its intermediate values in bayesianDetails
+const hierarchicalBayesianHybrid = (allData, { explain = false, config = CONFIG } = {}) => {
+  const { bayesian } = config;
   const totalDecks = allData.length;
   const totalGames = allData.reduce((sum, d) => sum + d.total_matches, 0);
-  const metaAdjustment = getMetaAdjustmentFactor(totalGames);
+  const metaAdjustment = getMetaAdjustmentFactor(totalGames, bayesian);
   
   // Calculate win rate priors
   const weightedWinRateMean = allData.reduce((sum, d) => 
     sum + d.adjusted_win_rate_raw * d.total_matches, 0) / totalGames;
   const winRateVariance = allData.reduce((sum, d) => 
     sum + Math.pow(d.adjusted_win_rate_raw - weightedWinRateMean, 2) * d.total_matches, 0) / totalGames;
-  const winRatePrior = calculateBetaParams(weightedWinRateMean, winRateVariance);
+  const winRatePrior = calculateBetaParams(weightedWinRateMean, winRateVariance, bayesian);
   
   // Calculate share priors
   const weightedShareMean = allData.reduce((sum, d) => 
     sum + d.share_raw * d.total_matches, 0) / totalGames;
   const shareVariance = allData.reduce((sum, d) => 
     sum + Math.pow(d.share_raw - weightedShareMean, 2) * d.total_matches, 0) / totalGames;
-  const sharePrior = calculateBetaParams(weightedShareMean, shareVariance);
+  const sharePrior = calculateBetaParams(weightedShareMean, shareVariance, bayesian);
   
   // Calculate posteriors for each deck
   return allData.map(deck => {
-    const adjustedWRZ = CONFIG.bayesian.winRateZScore * metaAdjustment;
-    const adjustedShareZ = CONFIG.bayesian.shareZScore * metaAdjustment;
+    const adjustedWRZ = bayesian.winRateZScore * metaAdjustment;
+    const adjustedShareZ = bayesian.shareZScore * metaAdjustment;
     
-    // Win rate posterior
-    const postAlphaWR = winRatePrior.alpha + deck.wins + CONFIG.bayesian.tieWeight * deck.ties;
-    const postBetaWR = winRatePrior.beta + deck.losses + CONFIG.bayesian.tieWeight * deck.ties;
+    // Win rate posterior (record scaled to its effective sample size; 1 for undated input)
+    const sampleScale = deck.effective_matches / deck.total_matches;
+    const postAlphaWR = winRatePrior.alpha + sampleScale * (deck.wins + bayesian.tieWeight * deck.ties);
+    const postBetaWR = winRatePrior.beta + sampleScale * (deck.losses + bayesian.tieWeight * deck.ties);
     const posteriorWinRate = postAlphaWR / (postAlphaWR + postBetaWR);
     const posteriorWinRateVar = (postAlphaWR * postBetaWR) / 
       ((postAlphaWR + postBetaWR) ** 2 * (postAlphaWR + postBetaWR + 1));
@@ -181,18 +464,44 @@ const hierarchicalBayesianHybrid = (allData) => {
       adjustedShareZ * Math.sqrt(posteriorShareVar));
     
     // Combined metric
-    const { winRateWeight: wr, shareWeight: sr } = CONFIG.bayesian;
+    const { winRateWeight: wr, shareWeight: sr } = bayesian;
     const combinedLowerBound = wr * lowerBoundWR + sr * lowerBoundShare;
     const combinedVariance = (wr ** 2) * posteriorWinRateVar + (sr ** 2) * posteriorShareVar;
     
     // Apply share penalty
-    const sharePenalty = calculateSharePenalty(deck.share);
+    const sharePenalty = calculateSharePenalty(deck.share, bayesian);
     const lowerBound = clamp(combinedLowerBound * sharePenalty, 0, 0.99);
     
-    // Return deck with rating only, no bayesianDetails
-    return {
+    const rated = {
       ...deck,
-      rating: round3(lowerBound * CONFIG.bayesian.ratingScale)
+      rating: round3(lowerBound * bayesian.ratingScale)
+    };
+    if (!explain) return rated;
+    
+    return {
+      ...rated,
+      bayesianDetails: {
+        posteriorMean: wr * posteriorWinRate + sr * posteriorShare,
+        lowerBound,
+        lowerBoundBeforePenalty: combinedLowerBound,
+        sharePenalty,
+        zScoreWinRate: adjustedWRZ,
+        zScoreShare: adjustedShareZ,
+        metaAdjustment,
+        sampleSize: deck.total_matches,
+        effectiveSampleSize: deck.effective_matches,
+        deckCount: deck.count,
+        posteriorStdDev: Math.sqrt(combinedVariance),
+        posteriorWinRate,
+        posteriorWinRateStdDev: Math.sqrt(posteriorWinRateVar),
+        posteriorShare,
+        posteriorShareStdDev: Math.sqrt(posteriorShareVar),
+        lowerBoundWinRate: lowerBoundWR,
+        lowerBoundShare: lowerBoundShare,
+        winRateWeight: wr,
+        shareWeight: sr,
+        ratingScale: bayesian.ratingScale
+      }
     };
   });
 };
@@ -201,32 +510,291 @@ const hierarchicalBayesianHybrid = (allData) => {
 // TIER ASSIGNMENT
 // ============================================================================
 
-const assignTier = (rating) => {
-  for (const [tier, threshold] of Object.entries(CONFIG.tiers)) {
+const assignTier = (rating, tiers = CONFIG.tiers) => {
+  for (const [tier, threshold] of Object.entries(tiers)) {
     if (rating >= threshold) return tier;
   }
   return 'Unranked';
 };
 
+const getTieringMode = (totalGames, tiering = CONFIG.tiering) => {
+  const { mode, relativeBelowMatches } = tiering;
+  if (mode !== 'auto') return mode;
+  return totalGames < relativeBelowMatches ? 'relative' : 'absolute';
+};
+
+// Match-weighted score per deck: z-score or percentile of its rating within the field
+const calculateRelativeScores = (allData, tiering = CONFIG.tiering) => {
+  const totalGames = allData.reduce((sum, d) => sum + d.total_matches, 0);
+
+  if (tiering.relativeMethod === 'percentile') {
+    const sorted = [...allData].sort((a, b) => a.rating - b.rating);
+    const scores = new Map();
+    let below = 0;
+    let seen = 0; // Running total of matches before index i
+    sorted.forEach((deck, i) => {
+      // Matches played by strictly lower rated decks (ties share a percentile)
+      if (i > 0 && sorted[i - 1].rating < deck.rating) below = seen;
+      seen += deck.total_matches;
+      scores.set(deck, (below / totalGames) * 100);
+    });
+    return scores;
+  }
+
+  const mean = allData.reduce((sum, d) => sum + d.rating * d.total_matches, 0) / totalGames;
+  const variance = allData.reduce((sum, d) => sum + (d.rating - mean) ** 2 * d.total_matches, 0) / totalGames;
+  const stdDev = Math.sqrt(variance);
+  return new Map(allData.map(deck => [deck, stdDev > 0 ? (deck.rating - mean) / stdDev : 0]));
+};
+
+// Relative counterpart of assignTier; thresholds come from config.tiering
+const assignRelativeTiers = (allData, config = CONFIG) => {
+  const { tiering } = config;
+  const scores = calculateRelativeScores(allData, tiering);
+  const thresholds = tiering.relativeMethod === 'percentile' ? tiering.percentiles : tiering.zScores;
+
+  return new Map(allData.map(deck => {
+    const score = scores.get(deck);
+    const tier = Object.keys(config.tiers).find(key => score >= thresholds[key]);
+    return [deck, tier || 'Unranked'];
+  }));
+};
+
 // ============================================================================
-// MAIN CALCULATION PIPELINE
+// RECORD VALIDATION
 // ============================================================================
+//
+// Raw records that would break the pipeline (0 matches → NaN ratings, count 0
+// → Infinity depth, negative or missing numbers, bad dates) are rejected with
+// their reasons. Records that can still be rated but look suspicious (e.g.
+// fractional counts in undecayed input) only produce warnings.
 
-const calculateDeckStatistics = (rawDecks) => {
-  // Validate input
-  if (!Array.isArray(rawDecks) || rawDecks.length === 0) {
-    console.warn('No deck data provided to calculator');
-    return [];
+const RECORD_NUMBER_FIELDS = ['count', 'wins', 'losses', 'ties'];
+
+// Reasons a raw record is rejected (errors) or flagged (warnings).
+// requireDate: the input is dated, so an undated record can't be decayed with the rest.
+const checkDeckRecord = (record, { requireDate = false } = {}) => {
+  const errors = [];
+  const warnings = [];
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return { errors: ['record must be an object'], warnings };
+  }
+
+  if (typeof record.deck_name !== 'string' || record.deck_name.trim() === '') {
+    errors.push('deck_name must be a non-empty string');
+  }
+
+  RECORD_NUMBER_FIELDS.forEach(field => {
+    const value = record[field];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${field} must be a finite number (got ${JSON.stringify(value)})`);
+    } else if (value < 0) {
+      errors.push(`${field} must not be negative (got ${value})`);
+    } else if (!Number.isInteger(value) && record.weighted_sq_matches === undefined) {
+      // Decayed aggregates (with weighted_sq_matches) are fractional by design
+      warnings.push(`${field} is not a whole number (got ${value})`);
+    }
+  });
+  if (errors.length > 0) return { errors, warnings };
+
+  if (record.wins + record.losses + record.ties === 0) errors.push('no matches played (wins + losses + ties is 0)');
+  if (record.count === 0) errors.push('count must be greater than 0');
+  if (isDatedRecord(record) && !hasValidDate(record)) {
+    errors.push(`date is not a valid date (got ${JSON.stringify(record.date)})`);
+  } else if (requireDate && !isDatedRecord(record)) {
+    errors.push('date is missing (other records are dated)');
   }
 
+  return { errors, warnings };
+};
+
+// Splits raw records into valid ones, warnings and rejected records.
+// Each warning/rejection carries the record's index, deck_name and reasons.
+const validateDeckRecords = (rawDecks) => {
+  const valid = [];
+  const warnings = [];
+  const rejected = [];
+  // Only parseable dates make the input dated, so one blank or malformed date
+  // rejects that record alone rather than every undated one
+  const requireDate = rawDecks.some(record => record !== null && typeof record === 'object' && hasValidDate(record));
+
+  rawDecks.forEach((record, index) => {
+    const { errors, warnings: recordWarnings } = checkDeckRecord(record, { requireDate });
+    const deck_name = record && typeof record.deck_name === 'string' ? record.deck_name : null;
+
+    if (errors.length > 0) {
+      rejected.push({ index, deck_name, reasons: errors, record });
+      return;
+    }
+    if (recordWarnings.length > 0) {
+      warnings.push({ index, deck_name, reasons: recordWarnings });
+    }
+    valid.push(record);
+  });
+
+  return { valid, warnings, rejected };
+};
+
+// ============================================================================
+// TIME DECAY
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDatedRecord = (deck) => deck.date !== undefined && deck.date !== null;
+
+const hasValidDate = (deck) => isDatedRecord(deck) && !Number.isNaN(new Date(deck.date).getTime());
+
+const getRecordWeight = (ageDays, { halfLifeDays, windowDays }) => {
+  const age = Math.max(0, ageDays);
+  if (windowDays !== null && windowDays !== undefined && age > windowDays) return 0;
+  return halfLifeDays ? Math.pow(0.5, age / halfLifeDays) : 1;
+};
+
+// Collapses dated per-tournament records into one record per deck name.
+// count/wins/losses/ties become decayed sums; weighted_sq_matches (Σ weight² × matches)
+// lets Step 1 derive the effective sample size that feeds the win rate posterior.
+// Decks whose decayed record rounds to no matches (or no entries) are dropped,
+// as they would turn every rating into NaN.
+const aggregateDatedRecords = (records, options = CONFIG.timeDecay) => {
+  const times = records.map(record => new Date(record.date).getTime());
+  const reference = options.referenceDate
+    ? new Date(options.referenceDate).getTime()
+    : times.reduce((latest, time) => Math.max(latest, time), -Infinity);
+  const byName = new Map();
+
+  records.forEach((record, i) => {
+    const weight = getRecordWeight((reference - times[i]) / DAY_MS, options);
+    if (!Number.isFinite(weight) || weight === 0) return;
+
+    const matches = record.wins + record.losses + record.ties;
+    const deck = byName.get(record.deck_name) ||
+      { deck_name: record.deck_name, count: 0, wins: 0, losses: 0, ties: 0, weighted_sq_matches: 0 };
+
+    deck.count += weight * record.count;
+    deck.wins += weight * record.wins;
+    deck.losses += weight * record.losses;
+    deck.ties += weight * record.ties;
+    deck.weighted_sq_matches += weight * weight * matches;
+    byName.set(record.deck_name, deck);
+  });
+
+  return [...byName.values()]
+    .map(deck => ({
+      ...deck,
+      count: round3(deck.count),
+      wins: round3(deck.wins),
+      losses: round3(deck.losses),
+      ties: round3(deck.ties)
+    }))
+    .filter(deck => deck.count > 0 && deck.wins + deck.losses + deck.ties > 0);
+};
+
+// ============================================================================
+// NAME CANONICALIZATION
+// ============================================================================
+
+const normalizeDeckName = (name) => String(name).trim().replace(/\s+/g, ' ');
+
+// Splits a deck name into Pokémon: "Tapu Koko ex Pikachu ex" → ["Tapu Koko ex", "Pikachu ex"].
+// Prefixes and suffixes match in any case, like the name keys built from the tokens.
+const tokenizeDeckName = (name, rules = CONFIG.canonicalization) => {
+  const prefixes = new Set(rules.prefixes.map(word => word.toLowerCase()));
+  const suffixes = new Set(rules.suffixes.map(word => word.toLowerCase()));
+  const tokens = [];
+  let pending = '';
+
+  normalizeDeckName(name).split(' ').forEach(word => {
+    const lower = word.toLowerCase();
+    if (suffixes.has(lower) && !pending && tokens.length > 0) {
+      tokens[tokens.length - 1] += ` ${word}`;
+      return;
+    }
+    const token = pending ? `${pending} ${word}` : word;
+    if (prefixes.has(lower) || /'s$/i.test(word)) {
+      pending = token;
+      return;
+    }
+    tokens.push(token);
+    pending = '';
+  });
+
+  if (pending) tokens.push(pending);
+  return tokens;
+};
+
+const getDeckNameKey = (name, rules) => {
+  const tokens = tokenizeDeckName(name, rules).map(token => token.toLowerCase());
+  return (rules.orderInsensitive ? tokens.sort() : tokens).join('|');
+};
+
+// Merges records that refer to the same deck by summing count/wins/losses/ties.
+// The canonical name is the alias target, otherwise the most played spelling.
+const canonicalizeDecks = (rawDecks, rules = CONFIG.canonicalization) => {
+  const aliases = new Map(Object.entries(rules.aliases || {})
+    .map(([from, to]) => [normalizeDeckName(from).toLowerCase(), normalizeDeckName(to)]));
+  const groups = new Map();
+
+  rawDecks.forEach(deck => {
+    const original = normalizeDeckName(deck.deck_name);
+    const alias = aliases.get(original.toLowerCase());
+    const key = getDeckNameKey(alias || original, rules);
+
+    if (!groups.has(key)) groups.set(key, { alias: null, records: [] });
+    const group = groups.get(key);
+    if (alias) group.alias = alias;
+    group.records.push({ ...deck, deck_name: original });
+  });
+
+  const decks = [];
+  const merges = [];
+
+  groups.forEach(({ alias, records }) => {
+    const mostPlayed = records.reduce((best, d) => (d.count > best.count ? d : best), records[0]);
+    const deck_name = alias || mostPlayed.deck_name;
+
+    decks.push(records.slice(1).reduce((merged, d) => ({
+      ...merged,
+      count: merged.count + d.count,
+      wins: merged.wins + d.wins,
+      losses: merged.losses + d.losses,
+      ties: merged.ties + d.ties,
+      ...(merged.weighted_sq_matches !== undefined && {
+        weighted_sq_matches: merged.weighted_sq_matches + d.weighted_sq_matches
+      })
+    }), { ...records[0], deck_name }));
+
+    if (records.length > 1 || records[0].deck_name !== deck_name) {
+      merges.push({ deck_name, sources: records.map(d => d.deck_name), records: records.length });
+    }
+  });
+
+  return { decks, merges };
+};
+
+// ============================================================================
+// RATING PIPELINE
+// ============================================================================
+
+// Kish effective sample size of decayed matches (equals total_matches when undecayed)
+const getEffectiveMatches = (deck, totalMatches) => {
+  return deck.weighted_sq_matches ? totalMatches ** 2 / deck.weighted_sq_matches : totalMatches;
+};
+
+// Steps 1-5: metrics, Bayesian rating, tiers and ranks for canonical deck records.
+// Returns the decks sorted by rank.
+const rateDecks = (canonicalDecks, { explain = false, config = CONFIG, onProgress = () => {} } = {}) => {
   // Step 1: Calculate basic metrics
-  const withBasics = rawDecks.map(deck => {
+  onProgress('basics');
+  const withBasics = canonicalDecks.map(deck => {
     const total_matches = deck.wins + deck.losses + deck.ties;
-    const adjusted_win_rate_raw = (deck.wins + CONFIG.bayesian.tieWeight * deck.ties) / total_matches;
+    const effective_matches = getEffectiveMatches(deck, total_matches);
+    const adjusted_win_rate_raw = (deck.wins + config.bayesian.tieWeight * deck.ties) / total_matches;
     
     return {
       ...deck,
       total_matches,
+      effective_matches,
       win_rate: round3((deck.wins / total_matches) * 100),
       adjusted_win_rate: round3(adjusted_win_rate_raw * 100),
       adjusted_win_rate_raw, // Keep for internal calculations
@@ -235,9 +803,11 @@ const calculateDeckStatistics = (rawDecks) => {
   });
   
   // Step 2: Calculate share metrics
+  onProgress('shares');
   const totalGames = withBasics.reduce((sum, d) => sum + d.total_matches, 0);
   const totalCount = withBasics.reduce((sum, d) => sum + d.count, 0);
-  const mostPlayedMatches = Math.max(...withBasics.map(d => d.total_matches));
+  // reduce instead of Math.max(...spread), which overflows the call stack on huge arrays
+  const mostPlayedMatches = withBasics.reduce((max, d) => Math.max(max, d.total_matches), 0);
   const mostPlayedShare = (mostPlayedMatches / totalGames) * 100;
   
   const withShares = withBasics.map(deck => ({
@@ -249,53 +819,343 @@ const calculateDeckStatistics = (rawDecks) => {
   }));
   
   // Step 3: Calculate meta impact and apply Bayesian analysis
+  onProgress('bayesian');
   const withBayesian = hierarchicalBayesianHybrid(withShares.map(deck => ({
     ...deck,
     meta_impact: round3(deck.adjusted_win_rate * deck.share)
-  })));
+  })), { explain, config });
   
-  // Step 4: Assign tiers
-  const withTiers = withBayesian.map(deck => ({
-    ...deck,
-    tier: assignTier(deck.rating),
-    tier_display: CONFIG.tierDisplay[assignTier(deck.rating)]
-  }));
+  // Step 4: Assign tiers (relative to the field for small datasets, see CONFIG.tiering)
+  onProgress('tiers');
+  const relativeTiers = getTieringMode(totalGames, config.tiering) === 'relative'
+    ? assignRelativeTiers(withBayesian, config)
+    : null;
+  const withTiers = withBayesian.map(deck => {
+    const tier = relativeTiers ? relativeTiers.get(deck) : assignTier(deck.rating, config.tiers);
+    return {
+      ...deck,
+      tier,
+      tier_display: config.tierDisplay[tier]
+    };
+  });
   
   // Step 5: Calculate rankings
   const sorted = [...withTiers].sort((a, b) => b.rating - a.rating);
   sorted.forEach((deck, i) => deck.rank = i + 1);
-  
-  // Step 6: Calculate percentiles (create sorted arrays once)
-  const metrics = {
-    rating: [...sorted.map(d => d.rating)].sort((a, b) => a - b),
-    count: [...sorted.map(d => d.count)].sort((a, b) => a - b),
-    total_matches: [...sorted.map(d => d.total_matches)].sort((a, b) => a - b),
-    win_rate: [...sorted.map(d => d.win_rate)].sort((a, b) => a - b),
-    adjusted_win_rate: [...sorted.map(d => d.adjusted_win_rate)].sort((a, b) => a - b),
-    avg_tournament_depth: [...sorted.map(d => d.avg_tournament_depth)].sort((a, b) => a - b),
-    meta_impact: [...sorted.map(d => d.meta_impact)].sort((a, b) => a - b)
+  return sorted;
+};
+
+// ============================================================================
+// BOOTSTRAP RANK INTERVALS
+// ============================================================================
+
+// Seeded PRNG (mulberry32): uniform numbers in [0, 1), reproducible per seed
+const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
-  
-  const withPercentiles = sorted.map(deck => ({
+};
+
+// Redraws a deck's matches one by one from its own win/loss/tie proportions.
+// Decayed records are drawn at their effective sample size (effective_matches,
+// rounded) and scaled back, so the total stays the same but the spread matches
+// how much information the weighted matches actually carry.
+const resampleRecord = (deck, random) => {
+  const total = deck.wins + deck.losses + deck.ties;
+  const draws = Math.round(getEffectiveMatches(deck, total));
+  if (draws === 0) return deck;
+
+  const winP = deck.wins / total;
+  const lossP = deck.losses / total;
+  let wins = 0;
+  let losses = 0;
+  for (let i = 0; i < draws; i++) {
+    const r = random();
+    if (r < winP) wins++;
+    else if (r < winP + lossP) losses++;
+  }
+
+  const scale = total / draws;
+  return {
     ...deck,
-    rating_pct: calculatePercentile(deck.rating, metrics.rating),
-    count_pct: calculatePercentile(deck.count, metrics.count),
-    total_matches_pct: calculatePercentile(deck.total_matches, metrics.total_matches),
-    win_rate_pct: calculatePercentile(deck.win_rate, metrics.win_rate),
-    adjusted_win_rate_pct: calculatePercentile(deck.adjusted_win_rate, metrics.adjusted_win_rate),
-    avg_tournament_depth_pct: calculatePercentile(deck.avg_tournament_depth, metrics.avg_tournament_depth),
-    meta_impact_pct: calculatePercentile(deck.meta_impact, metrics.meta_impact)
-  }));
+    wins: wins * scale,
+    losses: losses * scale,
+    ties: (draws - wins - losses) * scale
+  };
+};
+
+// Value at quantile q of an ascending array (nearest rank)
+const getQuantile = (sortedValues, q) => {
+  const index = Math.min(sortedValues.length - 1, Math.max(0, Math.ceil(q * sortedValues.length) - 1));
+  return sortedValues[index];
+};
+
+// Adds rank_ci_low/rank_ci_high (best/worst rank of the central interval) and
+// tier_probability (share of resamples that land in the deck's own tier)
+const addRankIntervals = (rankedDecks, canonicalDecks, config = CONFIG) => {
+  const options = config.bootstrap;
+  const random = createSeededRandom(options.seed);
+  const ranksByName = new Map(rankedDecks.map(deck => [deck.deck_name, []]));
+  const tierHits = new Map(rankedDecks.map(deck => [deck.deck_name, 0]));
+  const tierByName = new Map(rankedDecks.map(deck => [deck.deck_name, deck.tier]));
+
+  for (let i = 0; i < options.iterations; i++) {
+    const resampled = rateDecks(canonicalDecks.map(deck => resampleRecord(deck, random)), { config });
+    resampled.forEach(deck => {
+      ranksByName.get(deck.deck_name).push(deck.rank);
+      if (deck.tier === tierByName.get(deck.deck_name)) {
+        tierHits.set(deck.deck_name, tierHits.get(deck.deck_name) + 1);
+      }
+    });
+  }
+
+  const tail = (1 - options.confidence) / 2;
+  return rankedDecks.map(deck => {
+    const ranks = ranksByName.get(deck.deck_name).sort((a, b) => a - b);
+    return {
+      ...deck,
+      rank_ci_low: getQuantile(ranks, tail),
+      rank_ci_high: getQuantile(ranks, 1 - tail),
+      tier_probability: round3(tierHits.get(deck.deck_name) / options.iterations)
+    };
+  });
+};
+
+// ============================================================================
+// MAIN CALCULATION PIPELINE
+// ============================================================================
+
+// Metrics that get a <metric>_pct field, in output order
+const PERCENTILE_METRICS = [
+  'rating', 'count', 'total_matches', 'win_rate', 'adjusted_win_rate', 'avg_tournament_depth', 'meta_impact'
+];
+
+// { rating_pct, count_pct, ... } for one deck; sortedMetrics holds [metric, ascending values] pairs
+const getPercentiles = (deck, sortedMetrics) => {
+  const percentiles = {};
+  sortedMetrics.forEach(([metric, values]) => {
+    percentiles[`${metric}_pct`] = calculatePercentile(deck[metric], values);
+  });
+  return percentiles;
+};
+
+// Stages reported through calculateDeckReport's onProgress, in order
+// (intervals only runs with bootstrap: true)
+const PIPELINE_STAGES = ['validation', 'basics', 'shares', 'bayesian', 'tiers', 'percentiles', 'intervals'];
+
+// Config for a single call: CONFIG (or the defaults plus a named profile) with
+// the overrides deep-merged on top. CONFIG itself is never modified, so
+// differently tuned calls can run side by side.
+const resolveConfig = ({ profile = null, config: overrides = {} } = {}) => {
+  const base = profile ? deepMerge(BASE_CONFIG, getProfileOverrides(profile)) : CONFIG;
+  return deepMerge(base, overrides);
+};
+
+// Full pipeline with its validation report: { decks, warnings, rejected, merges }
+// (merges: deck names combined by canonicalizeDecks).
+// Options: explain (keep per-deck bayesianDetails for "why this rating"),
+// bootstrap (add rank confidence intervals, see CONFIG.bootstrap),
+// profile (name from CONFIG_PROFILES), config (overrides, e.g. { bayesian: { winRateZScore: 3 } }),
+// strict (throw on any invalid record instead of quarantining it in rejected),
+// onProgress (called with each PIPELINE_STAGES entry as it starts),
+// onRanked (called with the report before the slow bootstrap step adds intervals)
+const calculateDeckReport = (rawDecks, options = {}) => {
+  const { explain = false, bootstrap = false, strict = false, onProgress = () => {}, onRanked = () => {} } = options;
+
+  // Validate input
+  if (!Array.isArray(rawDecks) || rawDecks.length === 0) {
+    return { decks: [], warnings: [], rejected: [], merges: [] };
+  }
+  const config = resolveConfig(options);
+  assertValidConfig(config);
+
+  // Step 0: Reject records that would produce NaN/Infinity further down
+  onProgress('validation');
+  const { valid, warnings, rejected } = validateDeckRecords(rawDecks);
+  if (strict && rejected.length > 0) {
+    throw new Error('Invalid deck records: ' + rejected
+      .map(r => `record ${r.index} (${r.deck_name || 'unnamed'}): ${r.reasons.join(', ')}`).join('; '));
+  }
+  if (valid.length === 0) {
+    return { decks: [], warnings, rejected, merges: [] };
+  }
+
+  // Step 0a: Aggregate dated per-tournament records with time decay
+  const undatedDecks = valid.some(isDatedRecord) ? aggregateDatedRecords(valid, config.timeDecay) : valid;
+
+  // Step 0b: Merge duplicate and reordered deck names
+  const { decks: canonicalDecks, merges } = canonicalizeDecks(undatedDecks, config.canonicalization);
+
+  // Steps 1-5: Basic metrics, shares, Bayesian rating, tiers and ranks
+  const sorted = rateDecks(canonicalDecks, { explain, config, onProgress });
   
-  // Step 7: Add display formatting (0 decimals for rounded values)
-  return withPercentiles.map(deck => ({
+  // Step 6: Calculate percentiles (one sorted copy per metric, binary search per deck)
+  onProgress('percentiles');
+  const sortedMetrics = PERCENTILE_METRICS.map(metric =>
+    [metric, Float64Array.from(sorted, deck => deck[metric]).sort()]);
+  
+  // Step 7: Add percentiles and display formatting in the same pass (0 decimals for rounded values)
+  const formatted = sorted.map(deck => ({
     ...deck,
+    ...getPercentiles(deck, sortedMetrics),
     count_rounded: formatWithK(deck.count),
     total_matches_rounded: formatWithK(deck.total_matches),
     win_rate_rounded: Math.round(deck.win_rate),
     share_rounded: Math.round(deck.share),
     rating_rounded: Math.round(deck.rating)
   }));
+  onRanked({ decks: formatted, warnings, rejected, merges });
+  if (!bootstrap) {
+    return { decks: formatted, warnings, rejected, merges };
+  }
+
+  // Step 8: Bootstrap rank intervals (reruns steps 1-5 per iteration)
+  onProgress('intervals');
+  return { decks: addRankIntervals(formatted, canonicalDecks, config), warnings, rejected, merges };
+};
+
+// Enriched decks only; invalid records are left out (see calculateDeckReport)
+const calculateDeckStatistics = (rawDecks, options = {}) => {
+  if (!Array.isArray(rawDecks) || rawDecks.length === 0) {
+    console.warn('No deck data provided to calculator');
+    return [];
+  }
+  return calculateDeckReport(rawDecks, options).decks;
+};
+
+// ============================================================================
+// CONDITION MATCHING
+// ============================================================================
+//
+// Conditions follow notes/conditions.txt: { field: { min, max } } with inclusive
+// bounds, or { field: value } / { field: [values] } for exact matches.
+// Example: { rating: { min: 75, max: 85 }, tier: { min: 'C', max: 'S' } }
+
+// Numeric fields produced by calculateDeckStatistics (support min/max bounds)
+const NUMERIC_CONDITION_FIELDS = [
+  'count', 'wins', 'losses', 'ties',
+  'total_matches', 'effective_matches', 'win_rate', 'adjusted_win_rate', 'adjusted_win_rate_raw', 'avg_tournament_depth',
+  'share', 'share_raw', 'tournament_share', 'share_compared_to_most_played_deck', 'meta_impact',
+  'rating', 'rank', 'rank_ci_low', 'rank_ci_high', 'tier_probability',
+  'rating_pct', 'count_pct', 'total_matches_pct', 'win_rate_pct', 'adjusted_win_rate_pct',
+  'avg_tournament_depth_pct', 'meta_impact_pct',
+  'win_rate_rounded', 'share_rounded', 'rating_rounded'
+];
+
+// Fields where a lower value is better: { min: 3 } means "rank 3 or better"
+const LOWER_IS_BETTER_FIELDS = ['rank', 'rank_ci_low', 'rank_ci_high'];
+
+// Tier fields are ordered by CONFIG.tiers (best first), Unranked last
+const TIER_CONDITION_FIELDS = ['tier', 'tier_display'];
+
+// Text fields only support exact matches
+const EXACT_CONDITION_FIELDS = ['deck_name', 'count_rounded', 'total_matches_rounded'];
+
+const CONDITION_FIELDS = [...NUMERIC_CONDITION_FIELDS, ...TIER_CONDITION_FIELDS, ...EXACT_CONDITION_FIELDS];
+
+const isRangeCondition = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Strength of a tier (higher = better), accepting keys ('Splus') or display names ('S+').
+// config: the one the decks were calculated with (tiers and tierDisplay)
+const getTierStrength = (tier, config = CONFIG) => {
+  const order = [...Object.keys(config.tiers), 'Unranked'];
+  const key = Object.keys(config.tierDisplay).find(k => k === tier || config.tierDisplay[k] === tier);
+  const index = order.indexOf(key);
+  return index === -1 ? -1 : order.length - 1 - index;
+};
+
+const validateConditions = (conditions, config = CONFIG) => {
+  if (!isRangeCondition(conditions)) {
+    return ['Conditions must be an object of { field: condition } pairs'];
+  }
+
+  const errors = [];
+  Object.entries(conditions).forEach(([field, condition]) => {
+    if (!CONDITION_FIELDS.includes(field)) {
+      errors.push(`Unknown field "${field}"`);
+      return;
+    }
+    if (!isRangeCondition(condition)) {
+      if (TIER_CONDITION_FIELDS.includes(field)) {
+        (Array.isArray(condition) ? condition : [condition])
+          .filter(value => getTierStrength(value, config) === -1)
+          .forEach(value => errors.push(`Unknown tier "${value}" in ${field}`));
+      }
+      return;
+    }
+
+    if (EXACT_CONDITION_FIELDS.includes(field)) {
+      errors.push(`Field "${field}" does not support min/max bounds`);
+      return;
+    }
+    const bounds = Object.keys(condition);
+    bounds.filter(bound => bound !== 'min' && bound !== 'max')
+      .forEach(bound => errors.push(`Unknown bound "${bound}" on field "${field}" (expected min or max)`));
+
+    ['min', 'max'].filter(bound => bound in condition).forEach(bound => {
+      const value = condition[bound];
+      if (TIER_CONDITION_FIELDS.includes(field)) {
+        if (getTierStrength(value, config) === -1) errors.push(`Unknown tier "${value}" in ${field}.${bound}`);
+      } else if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push(`${field}.${bound} must be a number`);
+      }
+    });
+  });
+  return errors;
+};
+
+const matchesCondition = (deck, field, condition, config) => {
+  const value = deck[field];
+
+  if (!isRangeCondition(condition)) {
+    const expected = Array.isArray(condition) ? condition : [condition];
+    // Tiers match by key or display name ('Splus' and 'S+' are the same tier)
+    return TIER_CONDITION_FIELDS.includes(field)
+      ? expected.some(tier => getTierStrength(tier, config) === getTierStrength(value, config))
+      : expected.includes(value);
+  }
+
+  let { min, max } = condition;
+  let actual = value;
+
+  if (TIER_CONDITION_FIELDS.includes(field)) {
+    actual = getTierStrength(value, config);
+    min = min === undefined ? undefined : getTierStrength(min, config);
+    max = max === undefined ? undefined : getTierStrength(max, config);
+  } else if (LOWER_IS_BETTER_FIELDS.includes(field)) {
+    // Negate so that min/max read as "at least this good" / "at most this good"
+    actual = -value;
+    min = min === undefined ? undefined : -min;
+    max = max === undefined ? undefined : -max;
+  }
+
+  return (min === undefined || actual >= min) && (max === undefined || actual <= max);
+};
+
+const assertValidConditions = (conditions, config) => {
+  const errors = validateConditions(conditions, config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid conditions: ${errors.join('; ')}`);
+  }
+};
+
+// config: the one the decks were calculated with, for tier bounds (see getTierStrength)
+const matchConditions = (deck, conditions, config = CONFIG) => {
+  assertValidConditions(conditions, config);
+  return Object.entries(conditions).every(([field, condition]) => matchesCondition(deck, field, condition, config));
+};
+
+const filterDecks = (enrichedDecks, conditions, config = CONFIG) => {
+  assertValidConditions(conditions, config);
+  const entries = Object.entries(conditions);
+  return enrichedDecks.filter(deck =>
+    entries.every(([field, condition]) => matchesCondition(deck, field, condition, config)));
 };
 
 // ============================================================================
@@ -1541,63 +2401,50 @@ const decks = [
 ];
 
 // ============================================================================
-// EXECUTION & OUTPUT
+// EXECUTION
 // ============================================================================
+//
+// Nothing runs on load: the viewer calculates its datasets in deckWorker.js so
+// the page never blocks. enrichedReport/enrichedDecks are computed on first
+// access (Node only). Nothing is printed; use analyze.js for command-line reports.
 
-const enrichedDecks = calculateDeckStatistics(decks);
-
-console.log('='.repeat(80));
-console.log('DECK STATISTICS ANALYSIS - TOP 10 DECKS BY RATING');
-console.log('='.repeat(80));
-console.log();
-
-enrichedDecks.slice(0, 10).forEach(deck => {
-  console.log(`Deck: ${deck.deck_name}`);
-  console.log('-'.repeat(80));
-  console.log('BASIC STATISTICS:');
-  console.log(`  Count (tournament entries): ${deck.count} (rounded: ${deck.count_rounded})`);
-  console.log(`  Total Matches: ${deck.total_matches} (rounded: ${deck.total_matches_rounded})`);
-  console.log(`  Record: ${deck.wins}W - ${deck.losses}L - ${deck.ties}T`);
-  console.log();
-  console.log('PERFORMANCE METRICS:');
-  console.log(`  Win Rate: ${deck.win_rate.toFixed(2)}% (rounded: ${deck.win_rate_rounded}%)`);
-  console.log(`  Adjusted Win Rate (accounting for ties): ${deck.adjusted_win_rate.toFixed(2)}%`);
-  console.log(`  Avg Tournament Depth: ${deck.avg_tournament_depth.toFixed(2)}`);
-  console.log();
-  console.log('META STATISTICS:');
-  console.log(`  Share (percentage of meta): ${deck.share.toFixed(2)}% (rounded: ${deck.share_rounded}%)`);
-  console.log(`  Tournament Share (percentage of tournament entries): ${deck.tournament_share.toFixed(2)}%`);
-  console.log(`  Share vs Most Played: ${deck.share_compared_to_most_played_deck.toFixed(2)}%`);
-  console.log(`  Meta Impact (adjusted win rate * share): ${deck.meta_impact.toFixed(2)}`);
-  console.log();
-  console.log('RANKING & RATING:');
-  console.log(`  Rank: #${deck.rank}`);
-  console.log(`  Rating: ${deck.rating.toFixed(2)}/100+ (rounded: ${deck.rating_rounded})`);
-  console.log(`  Tier: ${deck.tier_display}`);
-  console.log();
-  console.log('PERCENTILES:');
-  console.log(`  Rating Percentile: ${deck.rating_pct.toFixed(1)}%`);
-  console.log(`  Count Percentile: ${deck.count_pct.toFixed(1)}%`);
-  console.log(`  Total Matches Percentile: ${deck.total_matches_pct.toFixed(1)}%`);
-  console.log(`  Win Rate Percentile: ${deck.win_rate_pct.toFixed(1)}%`);
-  console.log(`  Adjusted Win Rate Percentile: ${deck.adjusted_win_rate_pct.toFixed(1)}%`);
-  console.log(`  Avg Matches Percentile: ${deck.avg_tournament_depth_pct.toFixed(1)}%`);
-  console.log(`  Meta Impact Percentile: ${deck.meta_impact_pct.toFixed(1)}%`);
-  console.log();
-  console.log('='.repeat(80));
-  console.log();
-});
-
-console.log(`Note: Showing top ${Math.min(10, enrichedDecks.length)} decks out of ${enrichedDecks.length} total decks analyzed.`);
+// Same options the viewer uses: explanations, rank intervals and the validation report
+let enrichedReportCache = null;
+const getEnrichedReport = () => {
+  if (!enrichedReportCache) {
+    enrichedReportCache = calculateDeckReport(decks, { explain: true, bootstrap: true });
+  }
+  return enrichedReportCache;
+};
 
 // ============================================================================
 // EXPORT
 // ============================================================================
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { calculateDeckStatistics, CONFIG, enrichedDecks };
+  module.exports = {
+    calculateDeckStatistics, calculateDeckReport, validateDeckRecords, CONFIG, PIPELINE_STAGES,
+    get enrichedReport() { return getEnrichedReport(); },
+    get enrichedDecks() { return getEnrichedReport().decks; },
+    matchConditions, filterDecks, validateConditions,
+    canonicalizeDecks, normalizeDeckName, tokenizeDeckName, getDeckNameKey, getTierStrength, aggregateDatedRecords,
+    CONFIG_PROFILES, applyConfigProfile, validateConfig, resolveConfig, createSeededRandom, decks
+  };
 } else if (typeof window !== 'undefined') {
   window.calculateDeckStatistics = calculateDeckStatistics;
   window.CONFIG = CONFIG;
-  window.enrichedDecks = enrichedDecks;
+  window.PIPELINE_STAGES = PIPELINE_STAGES;
+  window.calculateDeckReport = calculateDeckReport;
+  window.decks = decks;
+  window.matchConditions = matchConditions;
+  window.filterDecks = filterDecks;
+  window.validateConditions = validateConditions;
+  window.canonicalizeDecks = canonicalizeDecks;
+  window.normalizeDeckName = normalizeDeckName;
+  window.getTierStrength = getTierStrength;
+  window.getDeckNameKey = getDeckNameKey;
+  window.CONFIG_PROFILES = CONFIG_PROFILES;
+  window.applyConfigProfile = applyConfigProfile;
+  window.validateConfig = validateConfig;
+  window.resolveConfig = resolveConfig;
 }
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * ============================================================================
+ * DECK STATISTICS WORKER
+ * ============================================================================
+ *
+ * Runs calculateDeckReport off the main thread so the viewer stays responsive
+ * on large datasets (see runDeckReport in renderDecks.js).
+ *
+ * In:  { id, rawDecks, options }
+ * Out: { id, type: 'progress', stage }                 one per PIPELINE_STAGES entry
+ *      { id, type: 'ranked', decks, warnings, rejected, merges, offset, total }
+ *                                                      ranked decks in batches, before rank intervals
+ *      { id, type: 'done', report }                    the full report
+ *      { id, type: 'error', message }
+ */
+
+importScripts('conditions.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const RANKED_BATCH_SIZE = 2000; // Decks per 'ranked' message; the first batch renders right away
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+const postRankedBatches = (id, { decks, warnings, rejected, merges }) => {
+  for (let offset = 0; offset < decks.length; offset += RANKED_BATCH_SIZE) {
+    self.postMessage({
+      id,
+      type: 'ranked',
+      decks: decks.slice(offset, offset + RANKED_BATCH_SIZE),
+      warnings,
+      rejected,
+      merges,
+      offset,
+      total: decks.length
+    });
+  }
+};
+
+self.addEventListener('message', (event) => {
+  const { id, rawDecks, options } = event.data;
+  try {
+    const report = calculateDeckReport(rawDecks, {
+      ...options,
+      onProgress: stage => self.postMessage({ id, type: 'progress', stage }),
+      onRanked: ranked => postRankedBatches(id, ranked)
+    });
+    self.postMessage({ id, type: 'done', report });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+});
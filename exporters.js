@@ -0,0 +1,124 @@
+/**
+ * ============================================================================
+ * DECK EXPORT
+ * ============================================================================
+ *
+ * Serializes enriched decks (in the order given) as CSV, JSON, a Markdown
+ * table or a compact tier summary ("S: deckA, deckB / A: deckC"). Used by the viewer's
+ * export menu and by analyze.js.
+ */
+
+const exportStats = typeof module !== 'undefined' && module.exports
+  ? require('./conditions.js')
+  : window;
+
+// ============================================================================
+// FIELDS & FORMATS
+// ============================================================================
+
+// Fields offered in the export menu; selected ones are checked by default
+const EXPORT_FIELDS = [
+  { field: 'rank', label: 'Rank', selected: true },
+  { field: 'deck_name', label: 'Deck', selected: true },
+  { field: 'tier_display', label: 'Tier', selected: true },
+  { field: 'rating', label: 'Rating', selected: true },
+  { field: 'win_rate', label: 'Win rate', selected: true },
+  { field: 'share', label: 'Share', selected: true },
+  { field: 'total_matches', label: 'Matches', selected: true },
+  { field: 'count', label: 'Entries', selected: false },
+  { field: 'wins', label: 'Wins', selected: false },
+  { field: 'losses', label: 'Losses', selected: false },
+  { field: 'ties', label: 'Ties', selected: false },
+  { field: 'adjusted_win_rate', label: 'Adjusted win rate', selected: false },
+  { field: 'avg_tournament_depth', label: 'Avg depth', selected: false },
+  { field: 'meta_impact', label: 'Meta impact', selected: false },
+  { field: 'tournament_share', label: 'Tournament share', selected: false },
+  { field: 'effective_matches', label: 'Effective matches', selected: false },
+  { field: 'rank_ci_low', label: 'Rank CI low', selected: false },
+  { field: 'rank_ci_high', label: 'Rank CI high', selected: false },
+  { field: 'tier_probability', label: 'Tier probability', selected: false },
+  { field: 'rating_pct', label: 'Rating percentile', selected: false },
+  { field: 'win_rate_pct', label: 'Win rate percentile', selected: false },
+  { field: 'adjusted_win_rate_pct', label: 'Adjusted win rate percentile', selected: false },
+  { field: 'count_pct', label: 'Entries percentile', selected: false },
+  { field: 'total_matches_pct', label: 'Matches percentile', selected: false },
+  { field: 'avg_tournament_depth_pct', label: 'Depth percentile', selected: false },
+  { field: 'meta_impact_pct', label: 'Meta impact percentile', selected: false }
+];
+
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown table', extension: 'md', mimeType: 'text/markdown' },
+  tiers: { label: 'Tier summary', extension: 'txt', mimeType: 'text/plain' }
+};
+
+const getDefaultExportFields = () => EXPORT_FIELDS.filter(f => f.selected).map(f => f.field);
+
+// ============================================================================
+// SERIALIZERS
+// ============================================================================
+
+const formatExportValue = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const escapeCsvCell = (value) => {
+  const text = formatExportValue(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (decks, fields) => {
+  return [fields, ...decks.map(deck => fields.map(field => deck[field]))]
+    .map(row => row.map(escapeCsvCell).join(',')).join('\n') + '\n';
+};
+
+const toJson = (decks, fields) => {
+  const rows = decks.map(deck => Object.fromEntries(fields.map(field => [field, deck[field]])));
+  return JSON.stringify(rows, null, 2) + '\n';
+};
+
+const toMarkdown = (decks, fields) => {
+  const escapeCell = value => formatExportValue(value).replace(/\|/g, '\\|');
+  return [
+    `| ${fields.join(' | ')} |`,
+    `| ${fields.map(() => '---').join(' | ')} |`,
+    ...decks.map(deck => `| ${fields.map(field => escapeCell(deck[field])).join(' | ')} |`)
+  ].join('\n') + '\n';
+};
+
+// Tiers best first on one line: "S: deckA, deckB / A: deckC". Empty tiers and Unranked are skipped.
+// config: the one the decks were calculated with (tiers and tierDisplay)
+const toTierSummary = (decks, { includeUnranked = false, config = exportStats.CONFIG } = {}) => {
+  const tiers = [...Object.keys(config.tiers), ...(includeUnranked ? ['Unranked'] : [])];
+  return tiers
+    .map(tier => {
+      const names = decks.filter(deck => deck.tier === tier).map(deck => deck.deck_name);
+      return names.length > 0 ? `${config.tierDisplay[tier]}: ${names.join(', ')}` : null;
+    })
+    .filter(Boolean)
+    .join(' / ') + '\n';
+};
+
+// fields only apply to csv/json/markdown; the tier summary always lists deck names
+const exportDecks = (decks, format, fields = getDefaultExportFields(), config = exportStats.CONFIG) => {
+  if (format === 'csv') return toCsv(decks, fields);
+  if (format === 'json') return toJson(decks, fields);
+  if (format === 'markdown') return toMarkdown(decks, fields);
+  if (format === 'tiers') return toTierSummary(decks, { config });
+  throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EXPORT_FIELDS, EXPORT_FORMATS, getDefaultExportFields, exportDecks, toTierSummary };
+} else if (typeof window !== 'undefined') {
+  window.EXPORT_FIELDS = EXPORT_FIELDS;
+  window.EXPORT_FORMATS = EXPORT_FORMATS;
+  window.getDefaultExportFields = getDefaultExportFields;
+  window.exportDecks = exportDecks;
+}
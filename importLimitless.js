@@ -0,0 +1,252 @@
+/**
+ * ============================================================================
+ * LIMITLESS TCG TOURNAMENT IMPORTER
+ * ============================================================================
+ *
+ * Builds the rawDecks array for calculateDeckStatistics from the Limitless TCG
+ * API (see notes/apiInfo.txt). Pages through recent tournaments, keeps those
+ * inside the requested date window, pulls their standings and aggregates the
+ * entries per deck name. Optionally pulls pairings as well and writes a
+ * matchup matrix (see matchups.js) for the viewer's heatmap. With --dated,
+ * emits one record per deck per tournament (with the tournament date) so
+ * calculateDeckStatistics can apply time decay.
+ *
+ * Usage: node importLimitless.js [--window 4w] [--game POCKET]
+ *                                [--base-url URL] [--format json|js] [--out FILE]
+ *                                [--matchups matchups.json] [--dated]
+ */
+
+const fs = require('fs');
+const { buildMatchupMatrix } = require('./matchups.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const IMPORT_DEFAULTS = {
+  baseUrl: 'https://play.limitlesstcg.com/api',
+  game: 'POCKET',
+  window: '4w',
+  pageSize: 100,
+  maxPages: 50,
+  apiKey: null,
+  includeMatchups: false,
+  dated: false,
+  unknownDeckName: 'Other'
+};
+
+const WINDOW_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+// Parses windows such as "12h", "10d" or "4w" into milliseconds
+const parseTimeWindow = (window) => {
+  const match = /^(\d+)\s*([hdw])$/.exec(String(window).trim());
+  if (!match) {
+    throw new Error(`Invalid time window "${window}" (expected e.g. 12h, 10d or 4w)`);
+  }
+  return Number(match[1]) * WINDOW_UNITS[match[2]];
+};
+
+const fetchJson = async (baseUrl, path, apiKey) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}${path}`;
+  const headers = { Accept: 'application/json' };
+  if (apiKey) headers['X-Access-Key'] = apiKey;
+
+  const response = await fetch(url, { headers });
+  if (!response.ok) {
+    throw new Error(`Request failed: ${response.status} ${response.statusText} (${url})`);
+  }
+  return response.json();
+};
+
+// ============================================================================
+// TOURNAMENTS & STANDINGS
+// ============================================================================
+
+// Tournaments are returned newest first, so paging stops at the first page
+// that reaches past the cutoff date
+const fetchTournaments = async (options) => {
+  const { baseUrl, game, pageSize, maxPages, apiKey, since } = options;
+  const tournaments = [];
+
+  for (let page = 1; page <= maxPages; page++) {
+    const query = `?game=${encodeURIComponent(game)}&limit=${pageSize}&page=${page}`;
+    const results = await fetchJson(baseUrl, `/tournaments${query}`, apiKey);
+    if (!Array.isArray(results) || results.length === 0) break;
+
+    const inWindow = results.filter(t => new Date(t.date).getTime() >= since);
+    tournaments.push(...inWindow);
+
+    if (inWindow.length < results.length || results.length < pageSize) break;
+  }
+
+  return tournaments;
+};
+
+const fetchStandings = (options, tournamentId) => {
+  const { baseUrl, apiKey } = options;
+  return fetchJson(baseUrl, `/tournaments/${encodeURIComponent(tournamentId)}/standings`, apiKey);
+};
+
+const fetchPairings = (options, tournamentId) => {
+  const { baseUrl, apiKey } = options;
+  return fetchJson(baseUrl, `/tournaments/${encodeURIComponent(tournamentId)}/pairings`, apiKey);
+};
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+const getDeckName = (entry, unknownDeckName) => {
+  const name = entry.deck && (entry.deck.name || entry.deck.id);
+  return name ? String(name).trim() : unknownDeckName;
+};
+
+// Groups standings entries by deck name into { deck_name, count, wins, losses, ties }
+const aggregateStandings = (standingsLists, unknownDeckName = IMPORT_DEFAULTS.unknownDeckName) => {
+  const byName = new Map();
+
+  standingsLists.forEach(standings => {
+    standings.forEach(entry => {
+      const deck_name = getDeckName(entry, unknownDeckName);
+      const record = entry.record || {};
+      const deck = byName.get(deck_name) || { deck_name, count: 0, wins: 0, losses: 0, ties: 0 };
+
+      deck.count += 1;
+      deck.wins += record.wins || 0;
+      deck.losses += record.losses || 0;
+      deck.ties += record.ties || 0;
+      byName.set(deck_name, deck);
+    });
+  });
+
+  return [...byName.values()].sort((a, b) => b.count - a.count || b.wins - a.wins);
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+const importDecks = async (overrides = {}) => {
+  const options = { ...IMPORT_DEFAULTS, ...overrides };
+  const now = options.now === undefined ? Date.now() : new Date(options.now).getTime();
+  const since = now - parseTimeWindow(options.window);
+
+  const tournaments = await fetchTournaments({ ...options, since });
+
+  // Sequential on purpose: keeps us well within the API's rate limits
+  const standingsLists = [];
+  const pairingsLists = [];
+  for (const tournament of tournaments) {
+    standingsLists.push(await fetchStandings(options, tournament.id));
+    if (options.includeMatchups) {
+      pairingsLists.push(await fetchPairings(options, tournament.id));
+    }
+  }
+
+  const decks = options.dated
+    ? tournaments.flatMap((tournament, i) => aggregateStandings([standingsLists[i]], options.unknownDeckName)
+      .map(deck => ({ ...deck, date: tournament.date })))
+    : aggregateStandings(standingsLists, options.unknownDeckName);
+
+  const result = { tournaments, decks };
+
+  if (options.includeMatchups) {
+    result.matchups = buildMatchupMatrix(
+      standingsLists.map((standings, i) => ({ standings, pairings: pairingsLists[i] })),
+      { unknownDeckName: options.unknownDeckName }
+    );
+  }
+
+  return result;
+};
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+// Same layout as the hand-pasted arrays (notes/prompt_for_const_decks.txt)
+const formatDecksAsJs = (decks) => {
+  const lines = decks.map(d => {
+    const date = d.date ? `, date: ${JSON.stringify(d.date)}` : '';
+    return `  { deck_name: ${JSON.stringify(d.deck_name)}${date}, count: ${d.count}, wins: ${d.wins}, losses: ${d.losses}, ties: ${d.ties} }`;
+  });
+  return `const decks = [\n${lines.join(',\n')}\n];\n`;
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+const CLI_FLAGS = {
+  '--base-url': 'baseUrl',
+  '--game': 'game',
+  '--window': 'window',
+  '--page-size': 'pageSize',
+  '--max-pages': 'maxPages',
+  '--api-key': 'apiKey',
+  '--format': 'format',
+  '--out': 'out',
+  '--matchups': 'matchupsOut',
+  '--dated': 'dated'
+};
+
+// Flags that take no value ("--dated"); an explicit true/false after them is still accepted
+const BOOLEAN_FLAGS = ['dated'];
+
+const parseArgs = (argv) => {
+  const args = { format: 'json', out: null, matchupsOut: null };
+  for (let i = 0; i < argv.length; i++) {
+    const key = CLI_FLAGS[argv[i]];
+    if (BOOLEAN_FLAGS.includes(key)) {
+      const explicit = argv[i + 1] === 'true' || argv[i + 1] === 'false';
+      args[key] = explicit ? argv[++i] === 'true' : true;
+      continue;
+    }
+    if (!key || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    const value = argv[++i];
+    args[key] = ['pageSize', 'maxPages'].includes(key) ? Number(value) : value;
+  }
+  return args;
+};
+
+const main = async () => {
+  const { format, out, matchupsOut, ...options } = parseArgs(process.argv.slice(2));
+  const { tournaments, decks, matchups } = await importDecks({ ...options, includeMatchups: Boolean(matchupsOut) });
+
+  const output = format === 'js' ? formatDecksAsJs(decks) : JSON.stringify(decks, null, 2) + '\n';
+  if (out) {
+    fs.writeFileSync(out, output);
+  } else {
+    process.stdout.write(output);
+  }
+  if (matchupsOut) {
+    fs.writeFileSync(matchupsOut, JSON.stringify(matchups, null, 2) + '\n');
+  }
+  console.error(`Imported ${decks.length} ${options.dated ? 'deck records' : 'decks'} from ${tournaments.length} tournaments`);
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  IMPORT_DEFAULTS, parseTimeWindow, fetchJson, fetchTournaments, fetchStandings, fetchPairings,
+  aggregateStandings, importDecks, formatDecksAsJs
+};
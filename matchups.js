@@ -0,0 +1,191 @@
+/**
+ * ============================================================================
+ * MATCHUP MATRIX
+ * ============================================================================
+ *
+ * Builds a deck-vs-deck win/loss/tie matrix from tournament pairings joined
+ * with standings (see notes/apiInfo.txt). Each cell carries its sample size
+ * and a Bayesian-shrunk win rate, pulled toward the win rate expected from
+ * both decks' overall records so that matchups with only a handful of games
+ * don't read as 0% or 100%. Shrunk rates stay symmetric: A vs B + B vs A = 1.
+ *
+ * Input per tournament: { standings: [...], pairings: [...] } as returned by
+ * /tournaments/{id}/standings and /tournaments/{id}/pairings.
+ */
+
+const matchupStats = typeof module !== 'undefined' && module.exports
+  ? require('./conditions.js')
+  : window;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MATCHUP_DEFAULTS = {
+  // PRIOR STRENGTH (Shrinkage)
+  // Number of pseudo-games at the expected win rate added to every cell
+  // • Higher values = Small samples stay close to the expected win rate
+  // • Lower values = Cells follow their raw record sooner
+  priorStrength: 10,
+
+  // TIE WEIGHT (How much ties count toward wins)
+  tieWeight: 0.5,
+
+  // CANONICALIZATION (Deck Names)
+  // Same rules as the deck statistics (see CONFIG.canonicalization), so that
+  // reordered names are one deck and games between them count as mirrors
+  canonicalization: matchupStats.CONFIG.canonicalization,
+
+  unknownDeckName: 'Other'
+};
+
+// Pairing winner values used by the API besides a player id
+const TIE_RESULT = '0';
+const DOUBLE_LOSS_RESULT = '-1';
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+const emptyRecord = () => ({ wins: 0, losses: 0, ties: 0 });
+
+const recordWinRate = (record, tieWeight) => {
+  const total = record.wins + record.losses + record.ties;
+  return total === 0 ? 0.5 : (record.wins + tieWeight * record.ties) / total;
+};
+
+const getStandingDeckName = (entry, unknownDeckName) => {
+  const name = entry.deck && (entry.deck.name || entry.deck.id);
+  return matchupStats.normalizeDeckName(name || unknownDeckName);
+};
+
+// Spelling → canonical name for every deck in the standings, chosen like the
+// deck statistics do it: the alias target, otherwise the most played spelling
+const buildCanonicalNames = (tournaments, unknownDeckName, rules) => {
+  const counts = new Map();
+  tournaments.forEach(({ standings }) => {
+    (standings || []).forEach(entry => {
+      const name = getStandingDeckName(entry, unknownDeckName);
+      counts.set(name, (counts.get(name) || 0) + 1);
+    });
+  });
+
+  const records = [...counts].map(([deck_name, count]) => ({ deck_name, count, wins: 0, losses: 0, ties: 0 }));
+  const { decks, merges } = matchupStats.canonicalizeDecks(records, rules);
+  const canonicalNames = new Map(decks.map(deck => [deck.deck_name, deck.deck_name]));
+  merges.forEach(({ deck_name, sources }) => sources.forEach(source => canonicalNames.set(source, deck_name)));
+  return canonicalNames;
+};
+
+const buildPlayerDeckIndex = (standings, unknownDeckName, canonicalNames) => {
+  const index = new Map();
+  standings.forEach(entry => {
+    index.set(entry.player, canonicalNames.get(getStandingDeckName(entry, unknownDeckName)));
+  });
+  return index;
+};
+
+// ============================================================================
+// MATRIX CONSTRUCTION
+// ============================================================================
+
+// Raw head-to-head records keyed as records[deckA][deckB] from deckA's side,
+// by canonical deck name. Byes, double losses and mirror matches are skipped.
+const collectMatchupRecords = (
+  tournaments,
+  unknownDeckName = MATCHUP_DEFAULTS.unknownDeckName,
+  rules = MATCHUP_DEFAULTS.canonicalization
+) => {
+  const canonicalNames = buildCanonicalNames(tournaments, unknownDeckName, rules);
+  const records = {};
+  const addResult = (deck, opponent, field) => {
+    records[deck] = records[deck] || {};
+    records[deck][opponent] = records[deck][opponent] || emptyRecord();
+    records[deck][opponent][field] += 1;
+  };
+
+  tournaments.forEach(({ standings, pairings }) => {
+    const deckByPlayer = buildPlayerDeckIndex(standings || [], unknownDeckName, canonicalNames);
+
+    (pairings || []).forEach(pairing => {
+      const { player1, player2 } = pairing;
+      const winner = pairing.winner === undefined || pairing.winner === null ? null : String(pairing.winner);
+      if (!player1 || !player2 || winner === null || winner === DOUBLE_LOSS_RESULT) return;
+
+      const deck1 = deckByPlayer.get(player1) || unknownDeckName;
+      const deck2 = deckByPlayer.get(player2) || unknownDeckName;
+      if (deck1 === deck2) return;
+
+      if (winner === TIE_RESULT) {
+        addResult(deck1, deck2, 'ties');
+        addResult(deck2, deck1, 'ties');
+      } else if (winner === player1) {
+        addResult(deck1, deck2, 'wins');
+        addResult(deck2, deck1, 'losses');
+      } else if (winner === player2) {
+        addResult(deck2, deck1, 'wins');
+        addResult(deck1, deck2, 'losses');
+      }
+    });
+  });
+
+  return records;
+};
+
+const buildMatchupMatrix = (tournaments, overrides = {}) => {
+  const options = { ...MATCHUP_DEFAULTS, ...overrides };
+  const records = collectMatchupRecords(tournaments, options.unknownDeckName, options.canonicalization);
+
+  // Overall record per deck across every non-mirror matchup
+  const overall = {};
+  Object.entries(records).forEach(([deck, opponents]) => {
+    const total = emptyRecord();
+    Object.values(opponents).forEach(record => {
+      total.wins += record.wins;
+      total.losses += record.losses;
+      total.ties += record.ties;
+    });
+    overall[deck] = {
+      ...total,
+      total: total.wins + total.losses + total.ties,
+      win_rate: recordWinRate(total, options.tieWeight)
+    };
+  });
+
+  const matchups = {};
+  Object.entries(records).forEach(([deck, opponents]) => {
+    matchups[deck] = {};
+    Object.entries(opponents).forEach(([opponent, record]) => {
+      // Shrinkage target: even matchup, shifted by the gap between overall win rates
+      const prior = 0.5 + (overall[deck].win_rate - overall[opponent].win_rate) / 2;
+      const total = record.wins + record.losses + record.ties;
+      const points = record.wins + options.tieWeight * record.ties;
+      matchups[deck][opponent] = {
+        ...record,
+        total,
+        win_rate: recordWinRate(record, options.tieWeight),
+        shrunk_win_rate: (points + options.priorStrength * prior) / (total + options.priorStrength)
+      };
+    });
+  });
+
+  const decks = Object.keys(overall).sort((a, b) => overall[b].total - overall[a].total);
+
+  return { decks, overall, matchups, priorStrength: options.priorStrength };
+};
+
+// Cell for deck vs opponent, or null when they never met
+const getMatchup = (matrix, deck, opponent) => {
+  return (matrix.matchups[deck] && matrix.matchups[deck][opponent]) || null;
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MATCHUP_DEFAULTS, collectMatchupRecords, buildMatchupMatrix, getMatchup };
+} else if (typeof window !== 'undefined') {
+  window.buildMatchupMatrix = buildMatchupMatrix;
+  window.getMatchup = getMatchup;
+}
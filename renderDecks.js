@@ -5,14 +5,38 @@
  * 
  * Efficient rendering system for displaying tens of thousands of decks.
  * Uses virtual scrolling and lazy rendering for optimal performance.
+ * Statistics are calculated in deckWorker.js and shown as soon as the decks
+ * are ranked.
  */
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const BATCH_SIZE = 50; // Number of decks to render per batch
-const SCROLL_THRESHOLD = 500; // Pixels from bottom to trigger next batch load
+const BUFFER_ROWS = 4; // Rows rendered above and below the viewport
+const ESTIMATED_ROW_HEIGHTS = { grid: 420, list: 220 }; // Pixels per row (incl. gap) until measured
+const MATCHUP_DATA_URL = 'matchups.json'; // Written by: node importLimitless.js --matchups matchups.json
+const HEATMAP_SIZE = 12; // Max decks per heatmap axis
+const DATASET_STORAGE_KEY = 'deckViewer.dataset'; // Remembers the selected dataset between visits
+const VALIDATION_ITEM_LIMIT = 20; // Max records listed in the validation banner
+const EXPORT_FILE_PREFIX = 'tier-list'; // Download name: tier-list-<dataset>.<extension>
+const DETAIL_HASH_PREFIX = '#deck='; // Deep link to a deck's detail panel: #deck=<deck name>
+const MAX_COMPARED_DECKS = 4; // Decks in one side-by-side comparison
+const URL_PARAMS = { search: 'q', sort: 'sort', tier: 'tier', view: 'view', dataset: 'dataset' }; // Shareable view state
+const WORKER_URL = 'deckWorker.js'; // Runs calculateDeckReport off the main thread
+const REPORT_OPTIONS = { explain: true }; // "Why this rating" details; rank intervals are opt-in (rankIntervalsToggle)
+const BASELINE_OPTIONS = { explain: false, bootstrap: false }; // Comparison datasets only need ranks and tiers
+
+// Shown while calculateDeckReport works through PIPELINE_STAGES
+const STAGE_LABELS = {
+  validation: 'Validating records...',
+  basics: 'Calculating basic metrics...',
+  shares: 'Calculating shares...',
+  bayesian: 'Calculating Bayesian ratings...',
+  tiers: 'Assigning tiers...',
+  percentiles: 'Calculating percentiles...',
+  intervals: 'Estimating rank intervals...'
+};
 
 // ============================================================================
 // STATE MANAGEMENT
@@ -20,10 +44,30 @@ const SCROLL_THRESHOLD = 500; // Pixels from bottom to trigger next batch load
 
 let allDecks = [];
 let filteredDecks = [];
-let displayedDecks = [];
-let currentBatch = 0;
-let isGridView = true;
-let isLoading = false;
+let renderedCards = new Map(); // deck → card node currently in the window
+let cardPool = []; // Detached card nodes ready to be reused
+let rowHeights = { ...ESTIMATED_ROW_HEIGHTS };
+let renderFrame = null;
+let currentView = 'grid'; // 'grid' | 'list' | 'board'
+let collapsedTiers = new Set(['Unranked']); // Tier board rows that are folded away
+let matchupMatrix = null;
+let matchupNamesByKey = new Map(); // Canonical name key → deck name in matchupMatrix
+let currentDatasetId = null;
+let movementByName = new Map(); // deck_name → change vs. the comparison dataset
+let addedDeckNames = new Set();
+let comparisonBaselineId = null; // Dataset behind movementByName
+let baselineDecksById = new Map(); // Dataset id → Promise of its ranked decks (see getBaselineDecks)
+let reportWorker; // undefined until first used, null when workers are unavailable
+let activeJob = null; // { id, rawDecks, options, handlers } of the calculation in progress
+let currentRawDecks = []; // Input of the latest calculation, rerun when rank intervals are toggled
+let validationReport = null; // Report behind the validation banner
+let comparisonError = null; // Why the comparison dataset couldn't be ranked, shown in the validation banner
+let jobCount = 0;
+let awaitingDecks = false; // true until the current dataset's first ranked decks arrive
+let selectedDeckNames = new Set(); // Picked for side-by-side comparison, in selection order; kept while filtering
+let advancedConditions = {}; // filterDecks conditions from the advanced panel: field → { min, max }
+let rangeBounds = {}; // field → { min, max } of the current dataset, for the range sliders
+let replaceNextUrlState = true; // The first URL update after loading or back/forward rewrites the entry instead of adding one
 
 // ============================================================================
 // DOM ELEMENTS
@@ -34,12 +78,42 @@ const elements = {
   searchInput: document.getElementById('searchInput'),
   sortSelect: document.getElementById('sortSelect'),
   tierFilter: document.getElementById('tierFilter'),
+  rankIntervalsToggle: document.getElementById('rankIntervalsToggle'),
   gridViewBtn: document.getElementById('gridView'),
   listViewBtn: document.getElementById('listView'),
+  boardViewBtn: document.getElementById('boardView'),
   loadingIndicator: document.getElementById('loadingIndicator'),
+  loadingStage: document.getElementById('loadingStage'),
+  calculationStatus: document.getElementById('calculationStatus'),
   noResults: document.getElementById('noResults'),
+  datasetSelect: document.getElementById('datasetSelect'),
+  datasetDescription: document.getElementById('datasetDescription'),
+  compareSelect: document.getElementById('compareSelect'),
+  moversPanel: document.getElementById('moversPanel'),
+  validationBanner: document.getElementById('validationBanner'),
+  deckDetail: document.getElementById('deckDetail'),
+  deckDetailContent: document.getElementById('deckDetailContent'),
+  deckDetailClose: document.getElementById('deckDetailClose'),
+  compareBar: document.getElementById('compareBar'),
+  compareSelection: document.getElementById('compareSelection'),
+  compareOpen: document.getElementById('compareOpen'),
+  compareClear: document.getElementById('compareClear'),
+  comparePanel: document.getElementById('comparePanel'),
+  comparePanelContent: document.getElementById('comparePanelContent'),
+  comparePanelClose: document.getElementById('comparePanelClose'),
+  exportMenu: document.getElementById('exportMenu'),
+  exportFormat: document.getElementById('exportFormat'),
+  exportFields: document.getElementById('exportFields'),
+  exportDownload: document.getElementById('exportDownload'),
+  activeFilterCount: document.getElementById('activeFilterCount'),
+  rangeFilters: document.getElementById('rangeFilters'),
+  tierMin: document.getElementById('tierMin'),
+  tierMax: document.getElementById('tierMax'),
+  resetFilters: document.getElementById('resetFilters'),
   totalDecks: document.getElementById('totalDecks'),
-  totalMatches: document.getElementById('totalMatches')
+  totalMatches: document.getElementById('totalMatches'),
+  matchupPanel: document.getElementById('matchupPanel'),
+  matchupHeatmap: document.getElementById('matchupHeatmap')
 };
 
 // ============================================================================
@@ -47,25 +121,503 @@ const elements = {
 // ============================================================================
 
 function init() {
-  // Get decks from decks.js (exported as module.exports or global variable)
-  allDecks = typeof module !== 'undefined' && module.exports 
-    ? module.exports 
-    : window.enrichedDecks || [];
+  // Restore search, sort, tier filter, view and dataset from a shared link
+  const urlState = readUrlState();
+  applyControlState(urlState);
+  
+  // Otherwise the last selected dataset; decks render once the worker has ranked them
+  setupAdvancedFilters();
+  setupDatasetPicker(urlState.dataset);
+  setupExportMenu();
+  
+  // Setup event listeners
+  setupEventListeners();
   
-  // Initial sort and filter
-  filteredDecks = [...allDecks].sort((a, b) => a.rank - b.rank);
+  // Matchup data is optional and loaded separately
+  loadMatchupData();
+}
+
+// ============================================================================
+// DATASETS
+// ============================================================================
+
+function setupDatasetPicker(preferredId) {
+  if (!window.DATASETS) {
+    elements.datasetSelect.style.display = 'none';
+    calculateDecks(window.decks || []);
+    return;
+  }
+  
+  const options = window.DATASETS
+    .map(dataset => `<option value="${escapeAttribute(dataset.id)}">${escapeHtml(dataset.name)}</option>`)
+    .join('');
+  elements.datasetSelect.innerHTML = options;
+  elements.compareSelect.insertAdjacentHTML('beforeend', options);
+  
+  const initialId = preferredId || readStoredDatasetId();
+  loadDataset(window.getDataset(initialId) ? initialId : window.DEFAULT_DATASET_ID);
+}
+
+function loadDataset(id) {
+  const dataset = window.getDataset(id);
+  if (!dataset) return;
+  
+  currentDatasetId = id;
+  elements.datasetSelect.value = id;
+  elements.datasetDescription.textContent = dataset.description;
+  storeDatasetId(id);
+  calculateDecks(dataset.decks);
+}
+
+function switchDataset(id) {
+  loadDataset(id);
+  window.scrollTo(0, 0);
+}
+
+// ============================================================================
+// CALCULATION
+// ============================================================================
+
+// Ranked decks are shown batch by batch as they arrive; with rank intervals
+// switched on, the decks with intervals replace them once the bootstrap is done
+function calculateDecks(rawDecks) {
+  let rankedDecks = [];
+  currentRawDecks = rawDecks;
+  allDecks = [];
+  awaitingDecks = true;
+  showComparison(null, null);
+  applyFiltersAndSort();
+  updateSummaryStats();
+  renderValidationBanner(null);
+  showCalculationStage('validation');
   
-  // Update summary stats
+  const options = { ...REPORT_OPTIONS, bootstrap: elements.rankIntervalsToggle.checked };
+  runDeckReport(rawDecks, options, {
+    onProgress: showCalculationStage,
+    onRanked: (batch) => {
+      rankedDecks = batch.offset === 0 ? batch.decks : rankedDecks.concat(batch.decks);
+      const complete = rankedDecks.length === batch.total;
+      if (batch.offset === 0) {
+        awaitingDecks = false;
+        showCalculationStage(null);
+        renderValidationBanner(batch);
+      }
+      showDecks(rankedDecks, complete);
+    },
+    onDone: (report) => {
+      awaitingDecks = false;
+      showCalculationStage(null);
+      renderValidationBanner(report);
+      showDecks(report.decks, true);
+    },
+    onError: (error) => {
+      showCalculationStage(null);
+      elements.loadingIndicator.style.display = 'block';
+      elements.loadingIndicator.classList.add('failed');
+      elements.loadingStage.textContent = `Could not calculate deck statistics: ${error.message}`;
+    }
+  });
+}
+
+// Comparison and deep links need every deck, so they wait for the last batch
+function showDecks(decks, complete) {
+  allDecks = decks;
+  updateRangeBounds();
+  if (complete) {
+    updateComparison();
+    refreshDeckSelection();
+  }
   updateSummaryStats();
+  applyFiltersAndSort();
+  if (complete && (getDeckNameFromHash() !== null || !elements.deckDetail.hidden)) {
+    openDeckDetailFromHash();
+  }
+}
+
+// Stages before ranking use the loading indicator; the bootstrap runs while
+// decks are already shown, so it only gets a note next to the summary stats
+function showCalculationStage(stage) {
+  const label = stage ? STAGE_LABELS[stage] : '';
+  elements.loadingIndicator.classList.remove('failed');
+  elements.loadingIndicator.style.display = awaitingDecks ? 'block' : 'none';
+  elements.loadingStage.textContent = label;
+  elements.calculationStatus.textContent = label;
+  elements.calculationStatus.hidden = awaitingDecks || !stage;
+}
+
+// Calculates the report in deckWorker.js, or on the main thread where workers
+// can't be started (e.g. file://). Only the latest job reports back.
+function runDeckReport(rawDecks, options, handlers) {
+  // A newer dataset replaces a calculation still in progress
+  if (activeJob && reportWorker) {
+    reportWorker.terminate();
+    reportWorker = undefined;
+  }
   
-  // Initial render
-  renderInitialBatch();
+  const job = { id: ++jobCount, rawDecks, options, handlers };
+  activeJob = job;
+  const worker = getReportWorker();
+  if (worker) {
+    worker.postMessage({ id: job.id, rawDecks, options });
+  } else {
+    runDeckReportInline(job);
+  }
+}
+
+function getReportWorker() {
+  if (reportWorker !== undefined) return reportWorker;
   
-  // Setup event listeners
-  setupEventListeners();
+  try {
+    reportWorker = new Worker(WORKER_URL);
+  } catch (error) {
+    reportWorker = null;
+    disableRankIntervals();
+    return reportWorker;
+  }
+  
+  reportWorker.addEventListener('message', handleWorkerMessage);
+  // Some browsers only report a script that can't be loaded after the fact
+  reportWorker.addEventListener('error', (event) => {
+    event.preventDefault();
+    reportWorker.terminate();
+    reportWorker = null;
+    disableRankIntervals();
+    if (activeJob) runDeckReportInline(activeJob);
+  });
+  return reportWorker;
+}
+
+function handleWorkerMessage(event) {
+  const { id, type } = event.data;
+  const job = activeJob;
+  if (!job || id !== job.id) return;
+  
+  if (type === 'progress') {
+    job.handlers.onProgress(event.data.stage);
+  } else if (type === 'ranked') {
+    job.handlers.onRanked(event.data);
+  } else if (type === 'done') {
+    activeJob = null;
+    job.handlers.onDone(event.data.report);
+  } else if (type === 'error') {
+    activeJob = null;
+    job.handlers.onError(new Error(event.data.message));
+  }
+}
+
+// Main-thread fallback. The bootstrap reruns the whole pipeline per resample
+// and would freeze the page here, so these reports never have rank intervals.
+function runDeckReportInline(job) {
+  const { rawDecks, options, handlers } = job;
+  setTimeout(() => {
+    if (activeJob !== job) return;
+    activeJob = null;
+    try {
+      const report = window.calculateDeckReport(rawDecks, {
+        ...options,
+        bootstrap: false,
+        onProgress: handlers.onProgress
+      });
+      if (report.decks.length > 0) {
+        handlers.onRanked({ ...report, offset: 0, total: report.decks.length });
+      }
+      handlers.onDone(report);
+    } catch (error) {
+      handlers.onError(error);
+    }
+  });
+}
+
+// Rank intervals need a worker (see runDeckReportInline)
+function disableRankIntervals() {
+  elements.rankIntervalsToggle.checked = false;
+  elements.rankIntervalsToggle.disabled = true;
+  elements.rankIntervalsToggle.parentElement.title = 'Rank intervals need a background worker, ' +
+    'which this page can\'t start (e.g. when opened from file://)';
+}
+
+// ============================================================================
+// SNAPSHOT COMPARISON
+// ============================================================================
+
+// Movement badges and the movers panel appear once the comparison dataset
+// has been ranked (see getBaselineDecks)
+function updateComparison() {
+  const compareId = elements.compareSelect.value;
+  const baseline = compareId && compareId !== currentDatasetId ? window.getDataset(compareId) : null;
+  
+  // Badges from another dataset would be wrong until the new baseline is ready
+  if (!baseline || baseline.id !== comparisonBaselineId) {
+    showComparison(null, null);
+  }
+  if (!baseline) return;
+  
+  const decks = allDecks;
+  getBaselineDecks(baseline)
+    .then(previousDecks => {
+      // A newer dataset, batch or comparison choice replaces this one
+      if (allDecks !== decks || elements.compareSelect.value !== compareId) return;
+      showComparison(window.compareSnapshots(previousDecks, decks), baseline);
+      renderDeckView();
+    })
+    .catch(error => {
+      if (elements.compareSelect.value !== compareId) return;
+      showComparisonError(`Could not compare with ${baseline.name}: ${error.message}`);
+    });
+}
+
+function showComparison(comparison, baseline) {
+  // Movement badges are part of the card content
+  releaseRenderedCards();
+  comparisonBaselineId = baseline ? baseline.id : null;
+  showComparisonError(null);
+  
+  if (!comparison) {
+    movementByName = new Map();
+    addedDeckNames = new Set();
+    elements.moversPanel.style.display = 'none';
+    return;
+  }
+  
+  movementByName = new Map(comparison.changes.map(change => [change.deck_name, change]));
+  addedDeckNames = new Set(comparison.added.map(deck => deck.deck_name));
+  renderMoversPanel(comparison, baseline);
+}
+
+// Ranked decks of a comparison dataset, calculated once per dataset
+function getBaselineDecks(dataset) {
+  if (!baselineDecksById.has(dataset.id)) {
+    const decks = calculateBaselineDecks(dataset.decks);
+    // Failed calculations are retried the next time the dataset is compared
+    decks.catch(() => baselineDecksById.delete(dataset.id));
+    baselineDecksById.set(dataset.id, decks);
+  }
+  return baselineDecksById.get(dataset.id);
+}
+
+// Runs in a worker of its own, as runDeckReport's worker is terminated
+// whenever a newer dataset is loaded; on the main thread where workers
+// can't be started
+function calculateBaselineDecks(rawDecks) {
+  const calculateInline = () => new Promise(resolve => setTimeout(resolve))
+    .then(() => window.calculateDeckReport(rawDecks, BASELINE_OPTIONS).decks);
+  if (reportWorker === null) return calculateInline();
+  
+  let worker;
+  try {
+    worker = new Worker(WORKER_URL);
+  } catch (error) {
+    return calculateInline();
+  }
+  
+  return new Promise((resolve, reject) => {
+    worker.addEventListener('message', (event) => {
+      const { type } = event.data;
+      if (type === 'done') {
+        resolve(event.data.report.decks);
+      } else if (type === 'error') {
+        reject(new Error(event.data.message));
+      } else {
+        return;
+      }
+      worker.terminate();
+    });
+    // Some browsers only report a script that can't be loaded after the fact
+    worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      worker.terminate();
+      resolve(calculateInline());
+    });
+    worker.postMessage({ id: 0, rawDecks, options: BASELINE_OPTIONS });
+  });
+}
+
+function createMovementBadge(deck) {
+  if (addedDeckNames.has(deck.deck_name)) {
+    return '<div class="deck-movement new" title="Not in the comparison dataset">NEW</div>';
+  }
+  
+  const change = movementByName.get(deck.deck_name);
+  if (!change) return '';
+  
+  const title = `Was #${change.previous_rank}, rating ${change.previous_rating.toFixed(1)}, ` +
+    `tier ${window.CONFIG.tierDisplay[change.previous_tier]}`;
+  if (change.rank_delta === 0) {
+    return `<div class="deck-movement same" title="${escapeAttribute(title)}">–</div>`;
+  }
+  
+  const direction = change.rank_delta > 0 ? 'up' : 'down';
+  const arrow = change.rank_delta > 0 ? '▲' : '▼';
+  return `<div class="deck-movement ${direction}" title="${escapeAttribute(title)}">${arrow}${Math.abs(change.rank_delta)}</div>`;
+}
+
+function renderMoversPanel(comparison, baseline) {
+  const movers = window.getBiggestMovers(comparison);
+  const tierName = (tier) => window.CONFIG.tierDisplay[tier];
+  
+  const rankItems = (changes, direction) => changes.map(change => `
+    <li>
+      <span class="mover-name">${escapeHtml(change.deck_name)}</span>
+      <span class="deck-movement ${direction}">#${change.previous_rank} → #${change.rank}</span>
+    </li>
+  `).join('') || '<li class="mover-empty">None</li>';
+  
+  const tierItems = (changes, direction) => changes.map(change => `
+    <li>
+      <span class="mover-name">${escapeHtml(change.deck_name)}</span>
+      <span class="deck-movement ${direction}">${escapeHtml(tierName(change.previous_tier))} → ${escapeHtml(tierName(change.tier))}</span>
+    </li>
+  `).join('') || '<li class="mover-empty">None</li>';
+  
+  elements.moversPanel.innerHTML = `
+    <h2>Biggest movers vs. ${escapeHtml(baseline.name)}</h2>
+    <div class="movers-columns">
+      <div><h3>Risers</h3><ul>${rankItems(movers.risers, 'up')}</ul></div>
+      <div><h3>Fallers</h3><ul>${rankItems(movers.fallers, 'down')}</ul></div>
+      <div><h3>Promoted</h3><ul>${tierItems(movers.promoted.slice(0, 5), 'up')}</ul></div>
+      <div><h3>Demoted</h3><ul>${tierItems(movers.demoted.slice(0, 5), 'down')}</ul></div>
+    </div>
+    <p class="movers-summary">
+      ${comparison.added.length} new · ${comparison.removed.length} gone · ${movers.promoted.length} promoted · ${movers.demoted.length} demoted
+    </p>
+  `;
+  elements.moversPanel.style.display = 'block';
+}
+
+// localStorage can be unavailable (private mode, file:// in some browsers)
+function readStoredDatasetId() {
+  try {
+    return localStorage.getItem(DATASET_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+function storeDatasetId(id) {
+  try {
+    localStorage.setItem(DATASET_STORAGE_KEY, id);
+  } catch (error) {
+    // Selection just won't be remembered
+  }
+}
+
+// ============================================================================
+// VALIDATION BANNER
+// ============================================================================
+
+function showComparisonError(message) {
+  if (comparisonError === message) return;
+  comparisonError = message;
+  renderValidationBanner(validationReport);
+}
+
+// Lists records that calculateDeckReport left out (rejected) or flagged
+// (warnings), deck names it merged, and a comparison dataset that couldn't be ranked
+function renderValidationBanner(report) {
+  validationReport = report;
+  const hasReportItems = report &&
+    (report.rejected.length > 0 || report.warnings.length > 0 || report.merges.length > 0);
+  if (!hasReportItems && !comparisonError) {
+    elements.validationBanner.style.display = 'none';
+    return;
+  }
+  
+  const comparisonNote = comparisonError
+    ? `<p class="validation-comparison">${escapeHtml(comparisonError)}</p>`
+    : '';
+  elements.validationBanner.innerHTML = comparisonNote + (hasReportItems ? renderReportItems(report) : '');
+  elements.validationBanner.style.display = 'block';
+}
+
+function renderReportItems(report) {
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const hasRecordIssues = report.rejected.length > 0 || report.warnings.length > 0;
+  const items = [
+    ...report.rejected.map(entry => ({ ...entry, kind: 'rejected' })),
+    ...report.warnings.map(entry => ({ ...entry, kind: 'warning' }))
+  ];
+  const recordItems = items.map(entry => `
+    <li class="validation-${entry.kind}">
+      <span class="validation-record">Record ${entry.index}: ${escapeHtml(entry.deck_name || '(unnamed)')}</span>
+      ${escapeHtml(entry.reasons.join('; '))}
+    </li>
+  `);
+  const mergeItems = report.merges.map(merge => {
+    const spellings = [...new Set(merge.sources)].filter(name => name !== merge.deck_name);
+    return `
+      <li class="validation-merge">
+        <span class="validation-record">${escapeHtml(merge.deck_name)}</span>
+        ${plural(merge.records, 'record')} merged${spellings.length > 0 ? `, also spelled ${escapeHtml(spellings.join(', '))}` : ''}
+      </li>
+    `;
+  });
+  const allItems = [...recordItems, ...mergeItems];
+  const listItems = allItems.slice(0, VALIDATION_ITEM_LIMIT).join('');
+  const more = allItems.length > VALIDATION_ITEM_LIMIT
+    ? `<li class="validation-more">…and ${allItems.length - VALIDATION_ITEM_LIMIT} more</li>`
+    : '';
+  
+  const headline = [
+    ...(hasRecordIssues ? [`${plural(report.rejected.length, 'record')} skipped, ${plural(report.warnings.length, 'warning')}`] : []),
+    ...(report.merges.length > 0 ? [`${plural(report.merges.length, 'deck name')} merged`] : [])
+  ].join(' · ');
+  const notes = [
+    ...(hasRecordIssues ? ['Skipped records are left out of the tier list.'] : []),
+    ...(report.merges.length > 0 ? ['Duplicate and reordered names count as one deck.'] : [])
+  ].join(' ');
+  
+  return `
+    <strong>${headline}</strong>
+    <span>${notes}</span>
+    <details>
+      <summary>Show details</summary>
+      <ul>${listItems}${more}</ul>
+    </details>
+  `;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+function setupExportMenu() {
+  if (!window.exportDecks) {
+    elements.exportMenu.style.display = 'none';
+    return;
+  }
+  
+  elements.exportFormat.innerHTML = Object.entries(window.EXPORT_FORMATS)
+    .map(([id, format]) => `<option value="${escapeAttribute(id)}">${escapeHtml(format.label)}</option>`)
+    .join('');
+  
+  elements.exportFields.insertAdjacentHTML('beforeend', window.EXPORT_FIELDS.map(({ field, label, selected }) => `
+    <label class="export-field">
+      <input type="checkbox" value="${escapeAttribute(field)}" ${selected ? 'checked' : ''}>
+      ${escapeHtml(label)}
+    </label>
+  `).join(''));
+}
+
+function getSelectedExportFields() {
+  return [...elements.exportFields.querySelectorAll('input:checked')].map(input => input.value);
+}
+
+// Exports filteredDecks exactly as shown: current search, tier filter and sort order
+function downloadExport() {
+  const formatId = elements.exportFormat.value;
+  const format = window.EXPORT_FORMATS[formatId];
+  const fields = getSelectedExportFields();
+  if (fields.length === 0 && formatId !== 'tiers') return;
   
-  // Hide loading indicator
-  elements.loadingIndicator.style.display = 'none';
+  const blob = new Blob([window.exportDecks(filteredDecks, formatId, fields)], { type: format.mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${EXPORT_FILE_PREFIX}-${currentDatasetId || 'decks'}.${format.extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
 }
 
 // ============================================================================
@@ -82,58 +634,166 @@ function updateSummaryStats() {
 // RENDERING FUNCTIONS
 // ============================================================================
 
-function renderInitialBatch() {
-  currentBatch = 0;
-  displayedDecks = [];
-  elements.container.innerHTML = '';
-  renderNextBatch();
+// Grid and list views keep only the rows around the viewport in the DOM.
+// The container's top/bottom padding stands in for the rows outside the
+// window, and cards leaving the window are recycled for decks entering it.
+
+function renderDeckView() {
+  if (currentView === 'board') {
+    releaseRenderedCards();
+    elements.container.style.padding = '';
+    renderTierBoard();
+    return;
+  }
+  
+  // Coming from the tier board: drop its rows before cards are placed
+  if (elements.container.querySelector('.tier-row')) {
+    elements.container.innerHTML = '';
+  }
+  renderWindow();
 }
 
-function renderNextBatch() {
-  if (isLoading) return;
+function renderWindow() {
+  if (currentView === 'board') return;
   
-  const start = currentBatch * BATCH_SIZE;
-  const end = Math.min(start + BATCH_SIZE, filteredDecks.length);
+  const columns = getColumnCount();
+  const totalRows = Math.ceil(filteredDecks.length / columns);
+  const rowHeight = rowHeights[currentView];
+  const viewportTop = window.scrollY - getContainerTop();
   
-  if (start >= filteredDecks.length) return;
+  const firstRow = Math.max(0, Math.min(totalRows - 1, Math.floor(viewportTop / rowHeight) - BUFFER_ROWS));
+  const lastRow = Math.min(totalRows - 1, Math.ceil((viewportTop + window.innerHeight) / rowHeight) + BUFFER_ROWS);
+  const visibleDecks = filteredDecks.slice(firstRow * columns, (lastRow + 1) * columns);
   
-  isLoading = true;
+  // Recycle cards whose deck left the window
+  const visible = new Set(visibleDecks);
+  renderedCards.forEach((card, deck) => {
+    if (!visible.has(deck)) {
+      card.remove();
+      cardPool.push(card);
+      renderedCards.delete(deck);
+    }
+  });
   
-  const batch = filteredDecks.slice(start, end);
-  displayedDecks.push(...batch);
+  // Place cards in order; cards still in the window are only moved if needed
+  let previous = null;
+  visibleDecks.forEach(deck => {
+    let card = renderedCards.get(deck);
+    if (!card) {
+      card = cardPool.pop() || document.createElement('div');
+      fillDeckCard(card, deck);
+      renderedCards.set(deck, card);
+    }
+    const expected = previous ? previous.nextSibling : elements.container.firstChild;
+    if (card !== expected) elements.container.insertBefore(card, expected);
+    previous = card;
+  });
   
-  // Use document fragment for better performance
-  const fragment = document.createDocumentFragment();
+  const renderedRows = totalRows === 0 ? 0 : lastRow - firstRow + 1;
+  elements.container.style.paddingTop = `${firstRow * rowHeight}px`;
+  elements.container.style.paddingBottom = `${Math.max(0, totalRows - firstRow - renderedRows) * rowHeight}px`;
+  measureRowHeight(renderedRows);
   
-  batch.forEach(deck => {
-    const card = createDeckCard(deck);
-    fragment.appendChild(card);
+  // Show/hide no results message
+  elements.noResults.style.display = filteredDecks.length === 0 && !awaitingDecks ? 'block' : 'none';
+}
+
+// Coalesces scroll/resize events into one window update per frame
+function scheduleRenderWindow() {
+  if (renderFrame !== null) return;
+  renderFrame = requestAnimationFrame(() => {
+    renderFrame = null;
+    renderWindow();
   });
+}
+
+// Returns every rendered card to the pool (e.g. when card content changes)
+function releaseRenderedCards() {
+  renderedCards.forEach(card => {
+    card.remove();
+    cardPool.push(card);
+  });
+  renderedCards = new Map();
+}
+
+function getContainerTop() {
+  return elements.container.getBoundingClientRect().top + window.scrollY;
+}
+
+// Resolved grid tracks ("320px 320px 320px"); the list view is a single column
+function getColumnCount() {
+  if (currentView !== 'grid') return 1;
+  const tracks = getComputedStyle(elements.container).gridTemplateColumns.split(' ');
+  return Math.max(1, tracks.filter(track => track.endsWith('px')).length);
+}
+
+// Average height of the rendered rows (plus the gap after each) becomes the
+// estimate for rows outside the window
+function measureRowHeight(renderedRows) {
+  const style = getComputedStyle(elements.container);
+  const contentHeight = elements.container.offsetHeight -
+    parseFloat(style.paddingTop || 0) - parseFloat(style.paddingBottom || 0);
+  if (renderedRows === 0 || contentHeight <= 0) return;
   
-  elements.container.appendChild(fragment);
+  const gap = parseFloat(style.rowGap) || 0;
+  rowHeights[currentView] = (contentHeight + gap) / renderedRows;
+}
+
+// First deck at least partly in view and its distance from the viewport top
+// (only once the list has been scrolled into; at the top there's nothing to keep)
+function getScrollAnchor() {
+  if (currentView === 'board' || window.scrollY <= getContainerTop()) return null;
+  for (const [deck, card] of renderedCards) {
+    const rect = card.getBoundingClientRect();
+    if (rect.bottom > 0) return { deck, top: rect.top };
+  }
+  return null;
+}
+
+// Keeps the anchor deck at the same spot after the list changed around it.
+// Matched by name: recalculated decks (e.g. with rank intervals) are new objects.
+function restoreScrollAnchor(anchor) {
+  const index = anchor ? filteredDecks.findIndex(deck => deck.deck_name === anchor.deck.deck_name) : -1;
+  if (index === -1) return;
   
-  currentBatch++;
-  isLoading = false;
+  const row = Math.floor(index / getColumnCount());
+  window.scrollTo(0, getContainerTop() + row * rowHeights[currentView] - anchor.top);
+  renderWindow();
   
-  // Show/hide no results message
-  if (displayedDecks.length === 0) {
-    elements.noResults.style.display = 'block';
-  } else {
-    elements.noResults.style.display = 'none';
-  }
+  // Correct for the difference between estimated and actual row heights
+  const card = renderedCards.get(filteredDecks[index]);
+  if (card) window.scrollBy(0, card.getBoundingClientRect().top - anchor.top);
 }
 
-function createDeckCard(deck) {
-  const card = document.createElement('div');
+// Bootstrap interval around the rank (only when calculated with bootstrap: true)
+function createRankRange(deck) {
+  if (deck.rank_ci_low === undefined) return '';
+  
+  const confidence = Math.round(window.CONFIG.bootstrap.confidence * 100);
+  const title = `${confidence}% of resamples rank it #${deck.rank_ci_low}–#${deck.rank_ci_high}; ` +
+    `${Math.round(deck.tier_probability * 100)}% keep it in tier ${deck.tier_display}`;
+  const range = deck.rank_ci_low === deck.rank_ci_high
+    ? `rank #${deck.rank_ci_low}`
+    : `rank #${deck.rank_ci_low}–#${deck.rank_ci_high}`;
+  return `<div class="deck-rank-range" title="${escapeAttribute(title)}">${range}</div>`;
+}
+
+// Fills a new or recycled card node with the deck's content
+function fillDeckCard(card, deck) {
   card.className = 'deck-card fade-in';
+  card.dataset.deckName = deck.deck_name;
   
   card.innerHTML = `
     <div class="deck-header">
       <div class="deck-name">${escapeHtml(deck.deck_name)}</div>
+      ${createMovementBadge(deck)}
+      ${createRankRange(deck)}
       <div class="deck-rank">#${deck.rank}</div>
     </div>
     
-    <div class="tier-badge tier-${escapeHtml(deck.tier)}">${escapeHtml(deck.tier_display)}</div>
+    <div class="tier-badge tier-${escapeAttribute(deck.tier)}">${escapeHtml(deck.tier_display)}</div>
+    
+    <div class="deck-description">${escapeHtml(getDeckDescription(deck))}</div>
     
     <div class="deck-stats">
       <div class="stat-item">
@@ -171,9 +831,63 @@ function createDeckCard(deck) {
       <div class="meta-tag">${deck.total_matches.toLocaleString()} matches</div>
       <div class="meta-tag">${deck.avg_tournament_depth.toFixed(1)} avg depth</div>
     </div>
+    
+    ${createCompareToggle(deck)}
+    
+    ${createRatingBreakdown(deck)}
   `;
+}
+
+// Shows how the win-rate bound, share bound, share penalty and rating scale
+// combine into the final rating (requires calculateDeckStatistics explain: true)
+function createRatingBreakdown(deck) {
+  const details = deck.bayesianDetails;
+  if (!details) return '';
+  
+  const pct = (value) => `${(value * 100).toFixed(2)}%`;
+  const num = (value) => value.toFixed(4);
+  const weightedWinRate = details.winRateWeight * details.lowerBoundWinRate;
+  const weightedShare = details.shareWeight * details.lowerBoundShare;
   
-  return card;
+  return `
+    <details class="rating-breakdown">
+      <summary>Why this rating?</summary>
+      <table>
+        <tr>
+          <td>Win rate bound</td>
+          <td>${pct(details.posteriorWinRate)} − ${details.zScoreWinRate.toFixed(2)} × ${pct(details.posteriorWinRateStdDev)}</td>
+          <td>${pct(details.lowerBoundWinRate)}</td>
+        </tr>
+        <tr>
+          <td>Share bound</td>
+          <td>${pct(details.posteriorShare)} − ${details.zScoreShare.toFixed(2)} × ${pct(details.posteriorShareStdDev)}</td>
+          <td>${pct(details.lowerBoundShare)}</td>
+        </tr>
+        <tr>
+          <td>Combined bound</td>
+          <td>${details.winRateWeight} × ${num(details.lowerBoundWinRate)} + ${details.shareWeight} × ${num(details.lowerBoundShare)}</td>
+          <td>${num(weightedWinRate + weightedShare)}</td>
+        </tr>
+        <tr>
+          <td>Share penalty</td>
+          <td>× ${num(details.sharePenalty)}</td>
+          <td>${num(details.lowerBound)}</td>
+        </tr>
+        <tr class="breakdown-total">
+          <td>Rating</td>
+          <td>× ${details.ratingScale}</td>
+          <td>${deck.rating.toFixed(2)}</td>
+        </tr>
+      </table>
+      <div class="breakdown-note">
+        ${details.sampleSize.toLocaleString()} matches · z-scores scaled by meta size (${num(details.metaAdjustment)})
+      </div>
+    </details>
+  `;
+}
+
+function getDeckDescription(deck) {
+  return typeof window.describeDeck === 'function' ? window.describeDeck(deck) : '';
 }
 
 function escapeHtml(text) {
@@ -182,19 +896,448 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// escapeHtml leaves quotes as they are, so values inside attribute="…" go through this
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// ============================================================================
+// TIER BOARD
+// ============================================================================
+
+// One row per tier (best first, Unranked last) with compact chips in the
+// current sort order. Rows without decks after search/filter are left out.
+function renderTierBoard() {
+  const tiers = [...Object.keys(window.CONFIG.tiers), 'Unranked'];
+  const decksByTier = new Map(tiers.map(tier => [tier, []]));
+  filteredDecks.forEach(deck => {
+    if (decksByTier.has(deck.tier)) decksByTier.get(deck.tier).push(deck);
+  });
+  
+  elements.container.innerHTML = tiers
+    .filter(tier => decksByTier.get(tier).length > 0)
+    .map(tier => createTierRow(tier, decksByTier.get(tier)))
+    .join('');
+  
+  elements.noResults.style.display = filteredDecks.length === 0 && !awaitingDecks ? 'block' : 'none';
+}
+
+function createTierRow(tier, decks) {
+  const collapsed = collapsedTiers.has(tier);
+  const chips = decks.map(deck => {
+    const title = `#${deck.rank} · rating ${deck.rating.toFixed(1)} · ` +
+      `${deck.win_rate.toFixed(1)}% win rate · ${deck.share.toFixed(1)}% share`;
+    return `
+      <span class="deck-chip" data-deck-name="${escapeAttribute(deck.deck_name)}" title="${escapeAttribute(title)}">
+        ${escapeHtml(deck.deck_name)}
+        <span class="deck-chip-rank">#${deck.rank}</span>
+      </span>
+    `;
+  }).join('');
+  
+  return `
+    <section class="tier-row${collapsed ? ' collapsed' : ''}" data-tier="${escapeAttribute(tier)}">
+      <button class="tier-row-header tier-${escapeAttribute(tier)}" type="button" aria-expanded="${!collapsed}">
+        <span class="tier-row-label">${escapeHtml(window.CONFIG.tierDisplay[tier])}</span>
+        <span class="tier-row-count">${decks.length}</span>
+      </button>
+      <div class="tier-row-decks">${chips}</div>
+    </section>
+  `;
+}
+
+function toggleTierRow(row) {
+  const tier = row.dataset.tier;
+  if (collapsedTiers.has(tier)) {
+    collapsedTiers.delete(tier);
+  } else {
+    collapsedTiers.add(tier);
+  }
+  row.classList.toggle('collapsed', collapsedTiers.has(tier));
+  row.querySelector('.tier-row-header').setAttribute('aria-expanded', String(!collapsedTiers.has(tier)));
+}
+
+// ============================================================================
+// DECK DETAIL
+// ============================================================================
+
+const DETAIL_METRICS = [
+  { field: 'rating', label: 'Rating', format: value => value.toFixed(2) },
+  { field: 'win_rate', label: 'Win rate', format: value => `${value.toFixed(2)}%` },
+  { field: 'adjusted_win_rate', label: 'Adjusted win rate (ties ½)', format: value => `${value.toFixed(2)}%` },
+  { field: 'share', label: 'Share of matches', format: value => `${value.toFixed(2)}%` },
+  { field: 'tournament_share', label: 'Share of entries', format: value => `${value.toFixed(2)}%` },
+  { field: 'share_compared_to_most_played_deck', label: 'Share vs. most played', format: value => `${value.toFixed(1)}%` },
+  { field: 'meta_impact', label: 'Meta impact', format: value => value.toFixed(1) },
+  { field: 'avg_tournament_depth', label: 'Avg tournament depth', format: value => value.toFixed(2) },
+  { field: 'total_matches', label: 'Matches', format: value => value.toLocaleString() },
+  { field: 'effective_matches', label: 'Effective matches', format: value => Math.round(value).toLocaleString() },
+  { field: 'count', label: 'Entries', format: value => value.toLocaleString() },
+  { field: 'tier_probability', label: 'Tier probability', format: value => `${Math.round(value * 100)}%` }
+];
+
+const DETAIL_PERCENTILES = [
+  { field: 'rating_pct', label: 'Rating' },
+  { field: 'win_rate_pct', label: 'Win rate' },
+  { field: 'adjusted_win_rate_pct', label: 'Adjusted win rate' },
+  { field: 'total_matches_pct', label: 'Matches' },
+  { field: 'count_pct', label: 'Entries' },
+  { field: 'avg_tournament_depth_pct', label: 'Tournament depth' },
+  { field: 'meta_impact_pct', label: 'Meta impact' }
+];
+
+// Raw input fields, after name canonicalization (and time decay for dated data)
+const RAW_RECORD_FIELDS = ['deck_name', 'count', 'wins', 'losses', 'ties', 'weighted_sq_matches'];
+
+function getDeckNameFromHash() {
+  if (!location.hash.startsWith(DETAIL_HASH_PREFIX)) return null;
+  try {
+    return decodeURIComponent(location.hash.slice(DETAIL_HASH_PREFIX.length));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Opening goes through the hash, so every open deck has a shareable URL
+function showDeckDetail(deckName) {
+  location.hash = DETAIL_HASH_PREFIX + encodeURIComponent(deckName);
+}
+
+function openDeckDetailFromHash() {
+  const deckName = getDeckNameFromHash();
+  const deck = deckName === null ? null : allDecks.find(d => d.deck_name === deckName);
+  if (!deck) {
+    elements.deckDetail.hidden = true;
+    return;
+  }
+  
+  elements.deckDetailContent.innerHTML = createDeckDetail(deck);
+  elements.deckDetail.hidden = false;
+  elements.deckDetailClose.focus();
+}
+
+function closeDeckDetail() {
+  elements.deckDetail.hidden = true;
+  if (getDeckNameFromHash() !== null) {
+    history.pushState(null, '', location.pathname + location.search);
+  }
+}
+
+function createDeckDetail(deck) {
+  const metrics = DETAIL_METRICS
+    .filter(({ field }) => typeof deck[field] === 'number')
+    .map(({ field, label, format }) => `
+      <div class="detail-metric">
+        <div class="stat-label">${label}</div>
+        <div class="stat-value">${format(deck[field])}</div>
+      </div>
+    `).join('');
+  
+  const percentiles = DETAIL_PERCENTILES.map(({ field, label }) => `
+    <div class="percentile-row">
+      <span class="percentile-label">${label}</span>
+      <div class="percentile-bar"><div class="percentile-fill" style="width: ${deck[field]}%"></div></div>
+      <span class="percentile-value">${deck[field].toFixed(1)}</span>
+    </div>
+  `).join('');
+  
+  const rawRecord = Object.fromEntries(RAW_RECORD_FIELDS
+    .filter(field => deck[field] !== undefined)
+    .map(field => [field, deck[field]]));
+  
+  return `
+    <div class="deck-header">
+      <h2 id="deckDetailTitle" class="deck-name">${escapeHtml(deck.deck_name)}</h2>
+      ${createRankRange(deck)}
+      <div class="deck-rank">#${deck.rank}</div>
+    </div>
+    <div class="tier-badge tier-${escapeAttribute(deck.tier)}">${escapeHtml(deck.tier_display)}</div>
+    <div class="deck-description">${escapeHtml(getDeckDescription(deck))}</div>
+    
+    <h3>Metrics</h3>
+    <div class="detail-metrics">${metrics}</div>
+    
+    <h3>Percentiles <span class="detail-hint">share of decks below this one</span></h3>
+    <div class="detail-percentiles">${percentiles}</div>
+    
+    <h3>Record</h3>
+    <div class="deck-record">
+      <div class="record-item"><strong>${deck.wins}</strong> <span>W</span></div>
+      <div class="record-item"><strong>${deck.losses}</strong> <span>L</span></div>
+      <div class="record-item"><strong>${deck.ties}</strong> <span>T</span></div>
+    </div>
+    <pre class="detail-raw">${escapeHtml(JSON.stringify(rawRecord, null, 2))}</pre>
+    
+    ${createRatingBreakdown(deck)}
+  `;
+}
+
+// ============================================================================
+// SIDE-BY-SIDE COMPARISON
+// ============================================================================
+
+// Decks are picked with the checkbox on their card; the selection is kept by
+// name, so it survives filtering, sorting and recycled cards.
+
+function createCompareToggle(deck) {
+  const selected = selectedDeckNames.has(deck.deck_name);
+  const full = !selected && selectedDeckNames.size >= MAX_COMPARED_DECKS;
+  return `
+    <label class="compare-toggle" title="${full ? `Compare up to ${MAX_COMPARED_DECKS} decks` : 'Add to comparison'}">
+      <input type="checkbox" data-compare-deck="${escapeAttribute(deck.deck_name)}" ${selected ? 'checked' : ''} ${full ? 'disabled' : ''}>
+      <span>Compare</span>
+    </label>
+  `;
+}
+
+function toggleDeckSelection(deckName, selected) {
+  if (selected && selectedDeckNames.size < MAX_COMPARED_DECKS) {
+    selectedDeckNames.add(deckName);
+  } else {
+    selectedDeckNames.delete(deckName);
+  }
+  updateSelectionControls();
+}
+
+// Selected decks in selection order (names missing from the current dataset are skipped)
+function getSelectedDecks() {
+  const byName = new Map(allDecks.map(deck => [deck.deck_name, deck]));
+  return [...selectedDeckNames].map(name => byName.get(name)).filter(Boolean);
+}
+
+// After a dataset is calculated: drop decks it doesn't have and refresh an open comparison
+function refreshDeckSelection() {
+  const names = new Set(allDecks.map(deck => deck.deck_name));
+  selectedDeckNames = new Set([...selectedDeckNames].filter(name => names.has(name)));
+  updateSelectionControls();
+  if (!elements.comparePanel.hidden) openComparison();
+}
+
+function updateSelectionControls() {
+  const full = selectedDeckNames.size >= MAX_COMPARED_DECKS;
+  elements.container.querySelectorAll('[data-compare-deck]').forEach(input => {
+    input.checked = selectedDeckNames.has(input.dataset.compareDeck);
+    input.disabled = full && !input.checked;
+  });
+  
+  elements.compareSelection.innerHTML = [...selectedDeckNames].map(name => `
+    <span class="compare-chip">
+      ${escapeHtml(name)}
+      <button type="button" data-compare-remove="${escapeAttribute(name)}" aria-label="Remove ${escapeAttribute(name)}">×</button>
+    </span>
+  `).join('');
+  elements.compareOpen.disabled = selectedDeckNames.size < 2;
+  elements.compareBar.hidden = selectedDeckNames.size === 0;
+}
+
+function openComparison() {
+  const decks = getSelectedDecks();
+  if (decks.length < 2) {
+    closeComparison();
+    return;
+  }
+  
+  elements.comparePanelContent.innerHTML = createComparison(decks);
+  elements.comparePanel.hidden = false;
+  elements.comparePanelClose.focus();
+}
+
+function closeComparison() {
+  elements.comparePanel.hidden = true;
+}
+
+function formatComparisonValue(value) {
+  if (value === undefined || value === null) return '–';
+  if (typeof value !== 'number') return escapeHtml(String(value));
+  return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(2);
+}
+
+function createComparison(decks) {
+  const { rows, tests } = window.compareDecks(decks);
+  const level = Math.round(window.SIGNIFICANCE_LEVEL * 100);
+  
+  const header = decks.map(deck => `<th scope="col">${escapeHtml(deck.deck_name)}</th>`).join('');
+  const body = rows.map(({ label, values, best }) => `
+    <tr>
+      <th scope="row">${escapeHtml(label)}</th>
+      ${values.map((value, i) => `<td class="${best.includes(i) ? 'best' : ''}">${formatComparisonValue(value)}</td>`).join('')}
+    </tr>
+  `).join('');
+  
+  const testItems = tests.map(test => {
+    const sign = test.difference > 0 ? '+' : '';
+    const verdict = test.significant
+      ? `<strong class="significant">significant at the ${level}% level</strong>`
+      : `<strong>not significant at the ${level}% level</strong>`;
+    return `
+      <li>
+        ${escapeHtml(test.deck_a)} vs. ${escapeHtml(test.deck_b)}:
+        ${test.win_rate_a.toFixed(1)}% vs. ${test.win_rate_b.toFixed(1)}% (${sign}${test.difference.toFixed(1)} pts),
+        z = ${test.z.toFixed(2)}, p = ${test.p_value.toFixed(3)}${tests.length > 1 ? ` (Holm-adjusted ${test.p_value_adjusted.toFixed(3)})` : ''}: ${verdict}
+        ${test.small_sample ? '<span class="comparison-caveat">Few matches: the normal approximation behind this test is unreliable.</span>' : ''}
+      </li>
+    `;
+  }).join('');
+  
+  return `
+    <h2 id="comparePanelTitle">Comparing ${decks.length} decks</h2>
+    <p class="detail-hint">The better value in each row is highlighted.</p>
+    
+    <table class="comparison-table">
+      <thead><tr><th scope="col">Metric</th>${header}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    
+    <h3>Adjusted win-rate difference <span class="detail-hint">two-proportion z-test on each pair of records${tests.length > 1 ? ', Holm-corrected for the number of pairs' : ''}</span></h3>
+    <ul class="comparison-tests">${testItems}</ul>
+  `;
+}
+
+// ============================================================================
+// ADVANCED FILTERS
+// ============================================================================
+
+// Dual-handle sliders in the advanced panel. Bounds follow the current dataset
+// (percentiles are always 0-100); a handle left at its bound doesn't filter.
+const RANGE_FILTERS = [
+  { field: 'rating', label: 'Rating', step: 0.1 },
+  { field: 'win_rate', label: 'Win rate %', step: 0.1 },
+  { field: 'share', label: 'Share %', step: 0.01 },
+  { field: 'count', label: 'Entries', step: 1 },
+  { field: 'total_matches', label: 'Matches', step: 1 },
+  { field: 'meta_impact', label: 'Meta impact', step: 0.1 },
+  { field: 'avg_tournament_depth', label: 'Avg tournament depth', step: 0.01 },
+  ...DETAIL_PERCENTILES.map(({ field, label }) => ({ field, label: `${label} percentile`, step: 0.1, percentile: true }))
+];
+
+function setupAdvancedFilters() {
+  const tierOptions = Object.keys(window.CONFIG.tiers)
+    .map(tier => `<option value="${escapeAttribute(tier)}">${escapeHtml(window.CONFIG.tierDisplay[tier])}</option>`)
+    .join('');
+  elements.tierMin.insertAdjacentHTML('beforeend', tierOptions);
+  elements.tierMax.insertAdjacentHTML('beforeend', tierOptions);
+  
+  elements.rangeFilters.innerHTML = RANGE_FILTERS.map(({ field, label, step }) => `
+    <div class="range-filter" data-field="${escapeAttribute(field)}">
+      <div class="range-filter-header">
+        <span>${escapeHtml(label)}</span>
+        <span class="range-filter-value"></span>
+      </div>
+      <div class="dual-range">
+        <input type="range" step="${step}" aria-label="${escapeAttribute(label)} minimum">
+        <input type="range" step="${step}" aria-label="${escapeAttribute(label)} maximum">
+      </div>
+    </div>
+  `).join('');
+}
+
+// Slider bounds from the current decks; active ranges are kept, idle handles move to the new bounds
+function updateRangeBounds() {
+  RANGE_FILTERS.forEach(({ field, step, percentile }) => {
+    const values = allDecks.map(deck => deck[field]);
+    const toStep = value => Number(value.toFixed(getStepDecimals(step)));
+    const bounds = percentile || values.length === 0
+      ? { min: 0, max: 100 }
+      : {
+        min: toStep(Math.floor(values.reduce((min, v) => Math.min(min, v), Infinity) / step) * step),
+        max: toStep(Math.ceil(values.reduce((max, v) => Math.max(max, v), -Infinity) / step) * step)
+      };
+    rangeBounds[field] = bounds;
+    
+    const [minInput, maxInput] = getRangeInputs(field);
+    const condition = advancedConditions[field] || {};
+    [minInput, maxInput].forEach(input => {
+      input.min = bounds.min;
+      input.max = bounds.max;
+    });
+    minInput.value = condition.min === undefined ? bounds.min : condition.min;
+    maxInput.value = condition.max === undefined ? bounds.max : condition.max;
+    updateRangeLabel(field);
+  });
+}
+
+function getStepDecimals(step) {
+  return step >= 1 ? 0 : String(step).split('.')[1].length;
+}
+
+function getRangeInputs(field) {
+  return elements.rangeFilters.querySelectorAll(`.range-filter[data-field="${field}"] input`);
+}
+
+function handleRangeInput(input) {
+  const field = input.closest('.range-filter').dataset.field;
+  const [minInput, maxInput] = getRangeInputs(field);
+  
+  // Handles can't cross
+  if (Number(minInput.value) > Number(maxInput.value)) {
+    input.value = input === minInput ? maxInput.value : minInput.value;
+  }
+  
+  const bounds = rangeBounds[field];
+  const condition = {};
+  if (Number(minInput.value) > bounds.min) condition.min = Number(minInput.value);
+  if (Number(maxInput.value) < bounds.max) condition.max = Number(maxInput.value);
+  setAdvancedCondition(field, condition);
+  updateRangeLabel(field);
+}
+
+function handleTierRangeChange() {
+  const condition = {};
+  if (elements.tierMin.value) condition.min = elements.tierMin.value;
+  if (elements.tierMax.value) condition.max = elements.tierMax.value;
+  setAdvancedCondition('tier', condition);
+  applyFiltersAndSort();
+}
+
+function setAdvancedCondition(field, condition) {
+  if (Object.keys(condition).length > 0) {
+    advancedConditions[field] = condition;
+  } else {
+    delete advancedConditions[field];
+  }
+  
+  const activeCount = Object.keys(advancedConditions).length;
+  elements.activeFilterCount.textContent = activeCount;
+  elements.activeFilterCount.hidden = activeCount === 0;
+}
+
+function updateRangeLabel(field) {
+  const filter = elements.rangeFilters.querySelector(`.range-filter[data-field="${field}"]`);
+  const [minInput, maxInput] = getRangeInputs(field);
+  const { step } = RANGE_FILTERS.find(f => f.field === field);
+  const format = value => step >= 1 ? Number(value).toLocaleString() : Number(value).toFixed(getStepDecimals(step));
+  
+  filter.querySelector('.range-filter-value').textContent = `${format(minInput.value)} – ${format(maxInput.value)}`;
+  filter.classList.toggle('active', field in advancedConditions);
+}
+
+function resetAdvancedFilters() {
+  advancedConditions = {};
+  setAdvancedCondition('tier', {});
+  elements.tierMin.value = '';
+  elements.tierMax.value = '';
+  updateRangeBounds();
+  applyFiltersAndSort();
+}
+
 // ============================================================================
 // FILTERING AND SORTING
 // ============================================================================
 
 function applyFiltersAndSort() {
+  const anchor = getScrollAnchor();
   const searchTerm = elements.searchInput.value.toLowerCase();
   const tierFilter = elements.tierFilter.value;
   const sortBy = elements.sortSelect.value;
   
-  // Filter
-  filteredDecks = allDecks.filter(deck => {
+  // Filter (advanced panel ranges first, see setupAdvancedFilters)
+  const candidates = Object.keys(advancedConditions).length > 0
+    ? window.filterDecks(allDecks, advancedConditions)
+    : allDecks;
+  filteredDecks = candidates.filter(deck => {
     const matchesSearch = deck.deck_name.toLowerCase().includes(searchTerm);
-    const matchesTier = tierFilter === 'all' || deck.tier === tierFilter;
+    // Options use display names ("S+"), so match tier_display as well as the key
+    const matchesTier = tierFilter === 'all' || deck.tier === tierFilter || deck.tier_display === tierFilter;
     return matchesSearch && matchesTier;
   });
   
@@ -218,8 +1361,169 @@ function applyFiltersAndSort() {
     }
   });
   
-  // Re-render
-  renderInitialBatch();
+  // Re-render, keeping the deck at the top of the viewport in place
+  renderDeckView();
+  restoreScrollAnchor(anchor);
+  renderMatchupHeatmap();
+  updateUrlState();
+}
+
+// ============================================================================
+// URL STATE
+// ============================================================================
+
+// Query string ↔ controls, e.g. ?q=darkrai&tier=S&sort=depth&view=list&dataset=secluded-springs.
+// Defaults are left out (except the dataset, so links always open the same data);
+// unknown values fall back to the defaults. The #deck= hash is kept as is.
+
+function readUrlState() {
+  const params = new URLSearchParams(location.search);
+  const option = (select, value) => [...select.options].some(o => o.value === value) ? value : select.options[0].value;
+  const dataset = params.get(URL_PARAMS.dataset);
+  
+  return {
+    search: params.get(URL_PARAMS.search) || '',
+    sort: option(elements.sortSelect, params.get(URL_PARAMS.sort)),
+    tier: option(elements.tierFilter, params.get(URL_PARAMS.tier)),
+    view: Object.keys(VIEW_SWITCHERS).includes(params.get(URL_PARAMS.view)) ? params.get(URL_PARAMS.view) : 'grid',
+    dataset: window.getDataset && window.getDataset(dataset) ? dataset : null
+  };
+}
+
+function getControlState() {
+  return {
+    search: elements.searchInput.value,
+    sort: elements.sortSelect.value,
+    tier: elements.tierFilter.value,
+    view: currentView,
+    dataset: currentDatasetId
+  };
+}
+
+// Sets the controls and view; the caller re-renders
+function applyControlState(state) {
+  elements.searchInput.value = state.search;
+  elements.sortSelect.value = state.sort;
+  elements.tierFilter.value = state.tier;
+  if (state.view !== currentView) VIEW_SWITCHERS[state.view]();
+}
+
+function buildUrlQuery(state) {
+  const params = new URLSearchParams();
+  if (state.search) params.set(URL_PARAMS.search, state.search);
+  if (state.sort !== elements.sortSelect.options[0].value) params.set(URL_PARAMS.sort, state.sort);
+  if (state.tier !== elements.tierFilter.options[0].value) params.set(URL_PARAMS.tier, state.tier);
+  if (state.view !== 'grid') params.set(URL_PARAMS.view, state.view);
+  if (state.dataset) params.set(URL_PARAMS.dataset, state.dataset);
+  
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Adds a history entry when the controls no longer match the query string
+function updateUrlState() {
+  const query = buildUrlQuery(getControlState());
+  const replace = replaceNextUrlState;
+  replaceNextUrlState = false;
+  if (query === location.search) return;
+  
+  const url = location.pathname + query + location.hash;
+  if (replace) {
+    history.replaceState(null, '', url);
+  } else {
+    history.pushState(null, '', url);
+  }
+}
+
+// Back/forward: restore the entry's controls (recalculating if the dataset changed)
+function restoreUrlState() {
+  const state = readUrlState();
+  if (!state.dataset) state.dataset = currentDatasetId;
+  if (buildUrlQuery(state) === buildUrlQuery(getControlState())) return; // Only the #deck= hash changed
+  
+  replaceNextUrlState = true;
+  applyControlState(state);
+  if (state.dataset !== currentDatasetId) {
+    loadDataset(state.dataset);
+  } else {
+    applyFiltersAndSort();
+  }
+}
+
+// ============================================================================
+// MATCHUP HEATMAP
+// ============================================================================
+
+async function loadMatchupData() {
+  try {
+    const response = await fetch(MATCHUP_DATA_URL);
+    if (!response.ok) return;
+    matchupMatrix = await response.json();
+    matchupNamesByKey = new Map(Object.keys(matchupMatrix.overall).map(name => [getDeckKey(name), name]));
+  } catch (error) {
+    // No matchup data available (e.g. opened from file://); keep the panel hidden
+    return;
+  }
+  
+  elements.matchupPanel.style.display = 'block';
+  renderMatchupHeatmap();
+}
+
+function getDeckKey(name) {
+  return window.getDeckNameKey(name, window.CONFIG.canonicalization);
+}
+
+// The matrix may spell a deck differently (e.g. another most played order)
+function getMatchupDeckName(name) {
+  return matchupNamesByKey.get(getDeckKey(name));
+}
+
+// Follows the current filter and sort order, limited to decks with matchup data
+function getHeatmapDecks() {
+  const withData = filteredDecks
+    .map(deck => deck.deck_name)
+    .filter(name => getMatchupDeckName(name));
+  return withData.slice(0, HEATMAP_SIZE);
+}
+
+function getMatchupColor(winRate) {
+  // 0% = red, 50% = yellow, 100% = green
+  return `hsl(${Math.round(winRate * 120)}, 55%, 38%)`;
+}
+
+function renderMatchupHeatmap() {
+  if (!matchupMatrix) return;
+  
+  const decks = getHeatmapDecks();
+  if (decks.length === 0) {
+    elements.matchupHeatmap.innerHTML = '<p class="matchup-hint">No matchup data for the current selection.</p>';
+    return;
+  }
+  
+  const header = decks
+    .map(name => `<th class="matchup-col-label" title="${escapeAttribute(name)}"><span>${escapeHtml(name)}</span></th>`)
+    .join('');
+  
+  const rows = decks.map(row => {
+    const cells = decks.map(col => {
+      const cell = row === col ? null : window.getMatchup(matchupMatrix, getMatchupDeckName(row), getMatchupDeckName(col));
+      if (!cell) return '<td class="matchup-cell empty"></td>';
+      
+      const title = `${row} vs ${col}: ${cell.wins}W - ${cell.losses}L - ${cell.ties}T ` +
+        `(n=${cell.total}, raw ${(cell.win_rate * 100).toFixed(1)}%)`;
+      return `<td class="matchup-cell" style="background: ${getMatchupColor(cell.shrunk_win_rate)}" ` +
+        `title="${escapeAttribute(title)}">${Math.round(cell.shrunk_win_rate * 100)}</td>`;
+    }).join('');
+    
+    return `<tr><th class="matchup-row-label" title="${escapeAttribute(row)}">${escapeHtml(row)}</th>${cells}</tr>`;
+  }).join('');
+  
+  elements.matchupHeatmap.innerHTML = `
+    <table class="matchup-table">
+      <thead><tr><th></th>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
 }
 
 // ============================================================================
@@ -227,17 +1531,37 @@ function applyFiltersAndSort() {
 // ============================================================================
 
 function switchToGridView() {
-  isGridView = true;
+  currentView = 'grid';
   elements.container.className = 'deck-grid';
-  elements.gridViewBtn.classList.add('active');
-  elements.listViewBtn.classList.remove('active');
+  updateViewButtons();
 }
 
 function switchToListView() {
-  isGridView = false;
+  currentView = 'list';
   elements.container.className = 'deck-list';
-  elements.listViewBtn.classList.add('active');
-  elements.gridViewBtn.classList.remove('active');
+  updateViewButtons();
+}
+
+function switchToBoardView() {
+  currentView = 'board';
+  elements.container.className = 'tier-board';
+  updateViewButtons();
+}
+
+const VIEW_SWITCHERS = { grid: switchToGridView, list: switchToListView, board: switchToBoardView };
+
+// View toggle: switch, re-render and record the view in the query string
+function changeView(view) {
+  if (view === currentView) return;
+  VIEW_SWITCHERS[view]();
+  renderDeckView();
+  updateUrlState();
+}
+
+function updateViewButtons() {
+  elements.gridViewBtn.classList.toggle('active', currentView === 'grid');
+  elements.listViewBtn.classList.toggle('active', currentView === 'list');
+  elements.boardViewBtn.classList.toggle('active', currentView === 'board');
 }
 
 // ============================================================================
@@ -258,35 +1582,86 @@ function setupEventListeners() {
   // Tier filter
   elements.tierFilter.addEventListener('change', applyFiltersAndSort);
   
+  // Rank intervals (the bootstrap reruns the rating pipeline, so it is opt-in)
+  elements.rankIntervalsToggle.addEventListener('change', () => calculateDecks(currentRawDecks));
+  
+  // Dataset
+  elements.datasetSelect.addEventListener('change', () => switchDataset(elements.datasetSelect.value));
+  
+  // Comparison
+  elements.compareSelect.addEventListener('change', () => {
+    updateComparison();
+    applyFiltersAndSort();
+  });
+  
+  // Export (the tier summary only lists deck names, so fields don't apply)
+  elements.exportFormat.addEventListener('change', () => {
+    elements.exportFields.disabled = elements.exportFormat.value === 'tiers';
+  });
+  elements.exportDownload.addEventListener('click', downloadExport);
+  
+  // Advanced filters (sliders re-filter once they stop moving)
+  let rangeTimeout;
+  elements.rangeFilters.addEventListener('input', (e) => {
+    handleRangeInput(e.target);
+    clearTimeout(rangeTimeout);
+    rangeTimeout = setTimeout(applyFiltersAndSort, 150);
+  });
+  elements.tierMin.addEventListener('change', handleTierRangeChange);
+  elements.tierMax.addEventListener('change', handleTierRangeChange);
+  elements.resetFilters.addEventListener('click', resetAdvancedFilters);
+  
   // View toggle
-  elements.gridViewBtn.addEventListener('click', () => {
-    if (!isGridView) {
-      switchToGridView();
-      renderInitialBatch();
+  elements.gridViewBtn.addEventListener('click', () => changeView('grid'));
+  elements.listViewBtn.addEventListener('click', () => changeView('list'));
+  elements.boardViewBtn.addEventListener('click', () => changeView('board'));
+  
+  // Back/forward between view states
+  window.addEventListener('popstate', restoreUrlState);
+  
+  // Tier board rows collapse/expand and cards/chips open the deck detail
+  // (both are re-rendered, so listen on the container)
+  elements.container.addEventListener('click', (e) => {
+    const header = e.target.closest('.tier-row-header');
+    if (header) {
+      toggleTierRow(header.closest('.tier-row'));
+      return;
+    }
+    const deckElement = e.target.closest('[data-deck-name]');
+    if (deckElement && !e.target.closest('.rating-breakdown, .compare-toggle')) {
+      showDeckDetail(deckElement.dataset.deckName);
     }
   });
   
-  elements.listViewBtn.addEventListener('click', () => {
-    if (isGridView) {
-      switchToListView();
-      renderInitialBatch();
-    }
+  // Side-by-side comparison (checkboxes live on recycled cards, so listen on the container)
+  elements.container.addEventListener('change', (e) => {
+    if (e.target.dataset.compareDeck) toggleDeckSelection(e.target.dataset.compareDeck, e.target.checked);
+  });
+  elements.compareSelection.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-compare-remove]');
+    if (button) toggleDeckSelection(button.dataset.compareRemove, false);
+  });
+  elements.compareOpen.addEventListener('click', openComparison);
+  elements.compareClear.addEventListener('click', () => {
+    selectedDeckNames = new Set();
+    updateSelectionControls();
+  });
+  elements.comparePanelClose.addEventListener('click', closeComparison);
+  elements.comparePanel.addEventListener('click', (e) => {
+    if (e.target === elements.comparePanel) closeComparison();
   });
   
-  // Infinite scroll
-  let scrollTimeout;
-  window.addEventListener('scroll', () => {
-    clearTimeout(scrollTimeout);
-    scrollTimeout = setTimeout(() => {
-      const scrollPosition = window.innerHeight + window.scrollY;
-      const threshold = document.body.offsetHeight - SCROLL_THRESHOLD;
-      
-      if (scrollPosition >= threshold && !isLoading) {
-        renderNextBatch();
-      }
-    }, 100);
+  // Deck detail
+  window.addEventListener('hashchange', openDeckDetailFromHash);
+  elements.deckDetailClose.addEventListener('click', closeDeckDetail);
+  elements.deckDetail.addEventListener('click', (e) => {
+    if (e.target === elements.deckDetail) closeDeckDetail();
   });
   
+  // Windowed rendering follows the viewport
+  window.addEventListener('scroll', scheduleRenderWindow);
+  window.addEventListener('resize', scheduleRenderWindow);
+  
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     // Focus search on "/" key
@@ -295,6 +1670,16 @@ function setupEventListeners() {
       elements.searchInput.focus();
     }
     
+    // Close the deck detail (or the comparison under it) on Escape
+    if (e.key === 'Escape' && !elements.deckDetail.hidden) {
+      closeDeckDetail();
+      return;
+    }
+    if (e.key === 'Escape' && !elements.comparePanel.hidden) {
+      closeComparison();
+      return;
+    }
+    
     // Clear search on Escape
     if (e.key === 'Escape' && document.activeElement === elements.searchInput) {
       elements.searchInput.value = '';
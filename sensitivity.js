@@ -0,0 +1,294 @@
+/**
+ * ============================================================================
+ * PARAMETER SENSITIVITY SWEEP
+ * ============================================================================
+ *
+ * Reruns calculateDeckStatistics while varying one or two CONFIG.bayesian
+ * parameters over a range, and reports how stable each deck's rank and tier
+ * are across the runs. Decks whose placement barely moves are robust; decks
+ * with a wide rank spread or a low tier stability depend on tuning.
+ *
+ * Every run passes its values as per-call config overrides, so CONFIG itself
+ * is never touched. Sweeping winRateWeight or shareWeight sets the other
+ * weight to 1 − value, as the two must sum to 1.0.
+ *
+ * Usage: node sensitivity.js --param winRateZScore=2:5:0.5 [--param sharePenaltyK=3,7,11]
+ *                            [--dataset ID | --input FILE.json|.csv|.js] [--format table|csv]
+ *                            [--profile NAME] [--top 20] [--out FILE]
+ */
+
+const fs = require('fs');
+const { calculateDeckStatistics, CONFIG } = require('./conditions.js');
+const { DEFAULT_DATASET_ID, getDataset } = require('./datasets.js');
+const { detectInputFormat, parseDecks } = require('./analyze.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SWEEP_DEFAULTS = {
+  dataset: DEFAULT_DATASET_ID,
+  input: null,
+  profile: null,
+  format: 'table',
+  top: 20,
+  out: null
+};
+
+// More parameters would make the grid (and the report) explode
+const MAX_SWEEP_PARAMETERS = 2;
+
+// Weights that must sum to 1.0: sweeping one sets the other to 1 − value
+const COMPLEMENTARY_WEIGHTS = { winRateWeight: 'shareWeight', shareWeight: 'winRateWeight' };
+
+// ============================================================================
+// PARAMETER RANGES
+// ============================================================================
+
+// Parses "name=from:to:step" or "name=v1,v2,v3" into { name, values }
+const parseParameterRange = (spec) => {
+  const match = /^([A-Za-z]+)=(.+)$/.exec(String(spec).trim());
+  if (!match) {
+    throw new Error(`Invalid parameter range "${spec}" (expected e.g. winRateZScore=2:5:0.5 or sharePenaltyK=3,7,11)`);
+  }
+  const [, name, range] = match;
+  const parts = range.includes(':') ? range.split(':').map(Number) : range.split(',').map(Number);
+  if (parts.some(value => !Number.isFinite(value))) {
+    throw new Error(`Invalid parameter range "${spec}": values must be numbers`);
+  }
+  if (!range.includes(':')) return { name, values: parts };
+
+  const [from, to, step] = parts;
+  if (parts.length !== 3 || step <= 0 || to < from) {
+    throw new Error(`Invalid parameter range "${spec}": expected from:to:step with from <= to and step > 0`);
+  }
+  const values = [];
+  // Rounding keeps 0.1 steps from drifting into 0.30000000000000004
+  for (let i = 0; from + i * step <= to + step * 1e-9; i++) {
+    values.push(Math.round((from + i * step) * 1e9) / 1e9);
+  }
+  return { name, values };
+};
+
+const validateSweepParameters = (parameters) => {
+  const errors = [];
+  if (!Array.isArray(parameters) || parameters.length === 0 || parameters.length > MAX_SWEEP_PARAMETERS) {
+    errors.push(`Sweep one or ${MAX_SWEEP_PARAMETERS} parameters`);
+    return errors;
+  }
+  parameters.forEach(({ name, values }) => {
+    if (!(name in CONFIG.bayesian)) errors.push(`Unknown bayesian parameter "${name}"`);
+    if (!Array.isArray(values) || values.length === 0) errors.push(`Parameter "${name}" needs at least one value`);
+    if (name in COMPLEMENTARY_WEIGHTS && Array.isArray(values) && values.some(value => value < 0 || value > 1)) {
+      errors.push(`Parameter "${name}" must stay between 0 and 1 (${COMPLEMENTARY_WEIGHTS[name]} is set to 1 − ${name})`);
+    }
+  });
+  if (parameters.length === 2 && parameters[0].name === parameters[1].name) {
+    errors.push(`Parameter "${parameters[0].name}" is swept twice`);
+  }
+  if (parameters.length === 2 && COMPLEMENTARY_WEIGHTS[parameters[0].name] === parameters[1].name) {
+    errors.push(`${parameters[0].name} and ${parameters[1].name} must sum to 1.0, so sweep only one of them`);
+  }
+  return errors;
+};
+
+// Every combination of values, e.g. [{ winRateZScore: 2, sharePenaltyK: 3 }, ...]
+const buildParameterGrid = (parameters) => {
+  return parameters.reduce((grid, { name, values }) =>
+    grid.flatMap(settings => values.map(value => ({ ...settings, [name]: value }))), [{}]);
+};
+
+// Bayesian overrides for one run, including the complement of a swept weight
+const getRunOverrides = (settings) => {
+  const overrides = { ...settings };
+  Object.entries(settings).forEach(([name, value]) => {
+    if (name in COMPLEMENTARY_WEIGHTS) {
+      overrides[COMPLEMENTARY_WEIGHTS[name]] = Math.round((1 - value) * 1e9) / 1e9;
+    }
+  });
+  return overrides;
+};
+
+const formatSettings = (settings) => {
+  return Object.entries(settings).map(([name, value]) => `${name}=${value}`).join(' ');
+};
+
+// ============================================================================
+// SWEEP
+// ============================================================================
+
+// Options are passed to every calculateDeckStatistics call (e.g. profile, config);
+// swept values (and complementary weights) are merged over options.config.bayesian
+const runSensitivitySweep = (rawDecks, parameters, options = {}) => {
+  const errors = validateSweepParameters(parameters);
+  if (errors.length > 0) {
+    throw new Error('Invalid sweep: ' + errors.join('; '));
+  }
+
+  const overrides = options.config || {};
+  const baseline = calculateDeckStatistics(rawDecks, options);
+  const runs = buildParameterGrid(parameters).map(settings => {
+    const decks = calculateDeckStatistics(rawDecks, {
+      ...options,
+      config: { ...overrides, bayesian: { ...overrides.bayesian, ...getRunOverrides(settings) } }
+    });
+    return {
+      settings,
+      placements: new Map(decks.map(deck => [deck.deck_name, { rank: deck.rank, tier: deck.tier }]))
+    };
+  });
+
+  const decks = baseline.map(deck => {
+    const placements = runs.map(run => run.placements.get(deck.deck_name));
+    const ranks = placements.map(p => p.rank);
+
+    const tierCounts = {};
+    placements.forEach(p => { tierCounts[p.tier] = (tierCounts[p.tier] || 0) + 1; });
+    const [modalTier, modalCount] = Object.entries(tierCounts).sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      deck_name: deck.deck_name,
+      baseline_rank: deck.rank,
+      baseline_tier: deck.tier,
+      min_rank: Math.min(...ranks),
+      max_rank: Math.max(...ranks),
+      rank_spread: Math.max(...ranks) - Math.min(...ranks),
+      mean_rank: Math.round(ranks.reduce((sum, r) => sum + r, 0) / ranks.length * 10) / 10,
+      modal_tier: modalTier,
+      tier_stability: Math.round(modalCount / runs.length * 1000) / 1000,
+      tiers: Object.keys(tierCounts),
+      placements
+    };
+  });
+
+  return { parameters, runs: runs.map(run => run.settings), decks };
+};
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+const formatSweepTable = (sweep, top = SWEEP_DEFAULTS.top) => {
+  const header = ['#', 'Deck', 'Ranks', 'Spread', 'Mean', 'Tier', 'Stability', 'Tiers seen'];
+  const rows = sweep.decks.slice(0, top).map(deck => [
+    String(deck.baseline_rank),
+    deck.deck_name,
+    `${deck.min_rank}-${deck.max_rank}`,
+    String(deck.rank_spread),
+    String(deck.mean_rank),
+    CONFIG.tierDisplay[deck.modal_tier],
+    `${Math.round(deck.tier_stability * 100)}%`,
+    deck.tiers.map(tier => CONFIG.tierDisplay[tier]).join(' ')
+  ]);
+
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  const runsLine = `${sweep.runs.length} runs: ${sweep.parameters
+    .map(({ name, values }) => `${name} ${values.join(', ')}`).join(' x ')}`;
+
+  return [
+    runsLine,
+    '',
+    formatRow(header),
+    formatRow(widths.map(width => '-'.repeat(width))),
+    ...rows.map(formatRow)
+  ].join('\n') + '\n';
+};
+
+const escapeCsv = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per deck; per-run rank and tier columns follow the summary columns
+const formatSweepCsv = (sweep) => {
+  const runColumns = sweep.runs.flatMap(settings => [
+    `rank ${formatSettings(settings)}`,
+    `tier ${formatSettings(settings)}`
+  ]);
+  const header = [
+    'deck_name', 'baseline_rank', 'baseline_tier', 'min_rank', 'max_rank', 'rank_spread',
+    'mean_rank', 'modal_tier', 'tier_stability', ...runColumns
+  ];
+  const rows = sweep.decks.map(deck => [
+    deck.deck_name, deck.baseline_rank, deck.baseline_tier, deck.min_rank, deck.max_rank,
+    deck.rank_spread, deck.mean_rank, deck.modal_tier, deck.tier_stability,
+    ...deck.placements.flatMap(p => [p.rank, p.tier])
+  ]);
+
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+};
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+const CLI_FLAGS = {
+  '--param': 'params',
+  '--dataset': 'dataset',
+  '--input': 'input',
+  '--profile': 'profile',
+  '--format': 'format',
+  '--top': 'top',
+  '--out': 'out'
+};
+
+const parseArgs = (argv) => {
+  const args = { ...SWEEP_DEFAULTS, params: [] };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = CLI_FLAGS[argv[i]];
+    if (!key || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    if (key === 'params') {
+      args.params.push(parseParameterRange(argv[i + 1]));
+    } else if (key === 'top') {
+      args.top = Number(argv[i + 1]);
+    } else {
+      args[key] = argv[i + 1];
+    }
+  }
+  if (!['table', 'csv'].includes(args.format)) {
+    throw new Error(`Unknown format "${args.format}" (expected table or csv)`);
+  }
+  return args;
+};
+
+const main = () => {
+  const { params, dataset, input, profile, format, top, out } = parseArgs(process.argv.slice(2));
+  const selected = input ? null : getDataset(dataset);
+  if (!input && !selected) {
+    throw new Error(`Unknown dataset "${dataset}"`);
+  }
+  // JSON, CSV or a `const decks = [...]` file, as accepted by analyze.js
+  const text = input ? fs.readFileSync(input, 'utf8') : null;
+  const rawDecks = input ? parseDecks(text, detectInputFormat(text, input)) : selected.decks;
+
+  const sweep = runSensitivitySweep(rawDecks, params, { profile });
+  const output = format === 'csv' ? formatSweepCsv(sweep) : formatSweepTable(sweep, top);
+
+  if (out) {
+    fs.writeFileSync(out, output);
+  } else {
+    process.stdout.write(output);
+  }
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SWEEP_DEFAULTS, parseParameterRange, buildParameterGrid, runSensitivitySweep,
+  formatSweepTable, formatSweepCsv
+};
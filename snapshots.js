@@ -0,0 +1,99 @@
+/**
+ * ============================================================================
+ * SNAPSHOT COMPARISON
+ * ============================================================================
+ *
+ * Compares two calculateDeckStatistics results (e.g. last month's tier list
+ * and today's). Decks are matched by their canonical name key, so "Tapu Koko ex
+ * Pikachu ex" and "Pikachu ex Tapu Koko ex" are the same deck even when each
+ * dataset picked a different spelling. For each deck present in both we report
+ * rank, rating, tier and share movement, plus decks that are new or gone.
+ *
+ * Deltas are "current − previous", except rank_delta which is positive when a
+ * deck moved up (previous rank − current rank).
+ */
+
+const snapshotStats = typeof module !== 'undefined' && module.exports
+  ? require('./conditions.js')
+  : window;
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+const getTierChange = (steps) => {
+  if (steps > 0) return 'promoted';
+  if (steps < 0) return 'demoted';
+  return 'unchanged';
+};
+
+// config: the one both results were calculated with (canonicalization rules, tier order)
+const compareSnapshots = (previousDecks, currentDecks, config = snapshotStats.CONFIG) => {
+  const getKey = deck => snapshotStats.getDeckNameKey(deck.deck_name, config.canonicalization);
+  const previousByKey = new Map(previousDecks.map(deck => [getKey(deck), deck]));
+  const currentKeys = new Set(currentDecks.map(getKey));
+
+  const changes = [];
+  const added = [];
+
+  currentDecks.forEach(deck => {
+    const previous = previousByKey.get(getKey(deck));
+    if (!previous) {
+      added.push(deck);
+      return;
+    }
+
+    const tierSteps = snapshotStats.getTierStrength(deck.tier, config)
+      - snapshotStats.getTierStrength(previous.tier, config);
+    changes.push({
+      deck_name: deck.deck_name,
+      previous_deck_name: previous.deck_name,
+      rank: deck.rank,
+      previous_rank: previous.rank,
+      rank_delta: previous.rank - deck.rank,
+      rating: deck.rating,
+      previous_rating: previous.rating,
+      rating_delta: Math.round((deck.rating - previous.rating) * 1000) / 1000,
+      tier: deck.tier,
+      previous_tier: previous.tier,
+      tier_steps: tierSteps,
+      tier_change: getTierChange(tierSteps),
+      share: deck.share,
+      previous_share: previous.share,
+      share_delta: Math.round((deck.share - previous.share) * 1000) / 1000
+    });
+  });
+
+  const removed = previousDecks.filter(deck => !currentKeys.has(getKey(deck)));
+
+  return { changes, added, removed };
+};
+
+// ============================================================================
+// BIGGEST MOVERS
+// ============================================================================
+
+// Largest rank gains/losses, plus every tier promotion and demotion
+const getBiggestMovers = (comparison, limit = 5) => {
+  const byRankDelta = [...comparison.changes].sort((a, b) => b.rank_delta - a.rank_delta);
+
+  return {
+    risers: byRankDelta.filter(c => c.rank_delta > 0).slice(0, limit),
+    fallers: byRankDelta.filter(c => c.rank_delta < 0).reverse().slice(0, limit),
+    promoted: comparison.changes.filter(c => c.tier_change === 'promoted')
+      .sort((a, b) => b.tier_steps - a.tier_steps || a.rank - b.rank),
+    demoted: comparison.changes.filter(c => c.tier_change === 'demoted')
+      .sort((a, b) => a.tier_steps - b.tier_steps || a.rank - b.rank)
+  };
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { compareSnapshots, getBiggestMovers };
+} else if (typeof window !== 'undefined') {
+  window.compareSnapshots = compareSnapshots;
+  window.getBiggestMovers = getBiggestMovers;
+}
@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * DESCRIPTION TEMPLATES
+ * ============================================================================
+ *
+ * Generates a short description for each enriched deck. Every template is
+ * guarded by a condition set (see notes/conditions.txt) and may reference any
+ * enriched deck field as a {placeholder}. The most specific matching template
+ * wins; templates without conditions act as fallbacks.
+ */
+
+const conditionEngine = typeof module !== 'undefined' && module.exports
+  ? require('./conditions.js')
+  : window;
+
+// ============================================================================
+// TEMPLATE LIBRARY
+// ============================================================================
+
+const DESCRIPTION_TEMPLATES = [
+  {
+    id: 'top-dominant',
+    conditions: { rank: { min: 3 }, total_matches_pct: { min: 90 } },
+    text: 'The deck dominates the meta with {total_matches_rounded} matches and a {win_rate_rounded}% win rate.'
+  },
+  {
+    id: 'win-rate-elite',
+    conditions: { win_rate_pct: { min: 95 }, total_matches: { min: 100 } },
+    text: 'It erases the competition from existence with a {win_rate_rounded}% win rate.'
+  },
+  {
+    id: 'hidden-gem',
+    conditions: { tier: { min: 'B' }, share: { max: 2 } },
+    text: 'This deck shines through the top of the meta, even at only {share}% of the meta share.'
+  },
+  {
+    id: 'underdog',
+    conditions: { win_rate: { min: 55 }, count_pct: { max: 50 }, count: { min: 5 } },
+    text: 'This underdog deck appeared in {count_rounded}+ tournaments and wins {win_rate_rounded}% of its games.'
+  },
+  {
+    id: 'deep-runs',
+    conditions: { avg_tournament_depth_pct: { min: 90 }, count: { min: 10 } },
+    text: 'Pilots take it deep, averaging {avg_tournament_depth} wins per tournament entry.'
+  },
+  {
+    id: 'meta-staple',
+    conditions: { share_rounded: { min: 5 } },
+    text: 'A meta staple at {share_rounded}% of all matches, with {total_matches_rounded} games on record.'
+  },
+  {
+    id: 'high-tier',
+    conditions: { tier: { min: 'S' } },
+    text: 'A {tier_display}-tier powerhouse rated {rating_rounded}, ranked #{rank} overall.'
+  },
+  {
+    id: 'ranked',
+    conditions: { tier: { min: 'F' } },
+    text: 'A solid {tier_display}-tier pick with a {win_rate_rounded}% win rate over {total_matches_rounded} matches.'
+  },
+  {
+    id: 'struggling',
+    conditions: { win_rate: { max: 45 }, total_matches: { min: 50 } },
+    text: 'It struggles to keep up, winning only {win_rate_rounded}% of {total_matches_rounded} matches.'
+  },
+  {
+    id: 'low-sample',
+    conditions: { total_matches: { max: 20 } },
+    text: 'Too few results to judge yet: {wins}W - {losses}L - {ties}T across {count} entries.'
+  },
+  {
+    id: 'fallback',
+    conditions: {},
+    text: 'Holds a {win_rate_rounded}% win rate across {total_matches_rounded} matches.'
+  }
+];
+
+// ============================================================================
+// INTERPOLATION
+// ============================================================================
+
+const PLACEHOLDER_PATTERN = /\{\s*([a-z_]+)\s*\}/g;
+
+// Replaces {field} placeholders with deck values; unknown fields are left untouched
+const interpolateTemplate = (text, deck) => {
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, field) =>
+    deck[field] === undefined || deck[field] === null ? placeholder : String(deck[field]));
+};
+
+// ============================================================================
+// TEMPLATE SELECTION
+// ============================================================================
+
+// Specificity = number of bounds/exact values a template requires
+const getTemplateSpecificity = (template) => {
+  return Object.values(template.conditions).reduce((sum, condition) => {
+    if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+      return sum + Object.keys(condition).length;
+    }
+    return sum + 1;
+  }, 0);
+};
+
+const validateTemplates = (templates) => {
+  return templates.flatMap(template =>
+    conditionEngine.validateConditions(template.conditions)
+      .map(error => `Template "${template.id}": ${error}`));
+};
+
+// Most specific matching template; ties go to the earlier template in the library
+const selectTemplate = (deck, templates = DESCRIPTION_TEMPLATES) => {
+  let best = null;
+  let bestSpecificity = -1;
+
+  templates.forEach(template => {
+    if (!conditionEngine.matchConditions(deck, template.conditions)) return;
+    const specificity = getTemplateSpecificity(template);
+    if (specificity > bestSpecificity) {
+      best = template;
+      bestSpecificity = specificity;
+    }
+  });
+
+  return best;
+};
+
+const describeDeck = (deck, templates = DESCRIPTION_TEMPLATES) => {
+  const template = selectTemplate(deck, templates);
+  return template ? interpolateTemplate(template.text, deck) : '';
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DESCRIPTION_TEMPLATES, interpolateTemplate, getTemplateSpecificity,
+    validateTemplates, selectTemplate, describeDeck
+  };
+} else if (typeof window !== 'undefined') {
+  window.DESCRIPTION_TEMPLATES = DESCRIPTION_TEMPLATES;
+  window.interpolateTemplate = interpolateTemplate;
+  window.selectTemplate = selectTemplate;
+  window.describeDeck = describeDeck;
+}
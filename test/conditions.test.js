@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * CONDITION ENGINE & INPUT PIPELINE CHECKS
+ * ============================================================================
+ *
+ * Focused checks for filterDecks, deck name canonicalization, time decay and
+ * record validation. Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CONFIG, filterDecks, validateConditions, getDeckNameKey, canonicalizeDecks,
+  aggregateDatedRecords, validateDeckRecords
+} = require('../conditions.js');
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+// Enriched decks only need the fields a condition looks at
+const ENRICHED_DECKS = [
+  { deck_name: 'Alpha', rank: 1, rating: 90, win_rate: 58, tier: 'Splus', tier_display: 'S+' },
+  { deck_name: 'Bravo', rank: 2, rating: 84, win_rate: 55, tier: 'B', tier_display: 'B' },
+  { deck_name: 'Charlie', rank: 3, rating: 72, win_rate: 51, tier: 'D', tier_display: 'D' },
+  { deck_name: 'Delta', rank: 4, rating: 40, win_rate: 44, tier: 'Unranked', tier_display: 'Unranked' }
+];
+
+const names = decks => decks.map(deck => deck.deck_name);
+
+const record = (deck_name, overrides = {}) => ({ deck_name, count: 4, wins: 10, losses: 8, ties: 1, ...overrides });
+
+// ============================================================================
+// filterDecks
+// ============================================================================
+
+test('filterDecks applies inclusive min/max bounds', () => {
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { rating: { min: 72, max: 84 } })), ['Bravo', 'Charlie']);
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { win_rate: { min: 55 } })), ['Alpha', 'Bravo']);
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, {})), names(ENRICHED_DECKS));
+});
+
+test('filterDecks reads lower-is-better bounds as "at least / at most this good"', () => {
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { rank: { min: 2 } })), ['Alpha', 'Bravo']);
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { rank: { max: 3 } })), ['Charlie', 'Delta']);
+});
+
+test('filterDecks orders tier ranges by strength and accepts keys or display names', () => {
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { tier: { min: 'D', max: 'S+' } })), ['Alpha', 'Bravo', 'Charlie']);
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { tier: { min: 'B', max: 'Splus' } })), ['Alpha', 'Bravo']);
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { tier_display: { max: 'D' } })), ['Charlie', 'Delta']);
+});
+
+test('filterDecks matches exact tiers by key or display name', () => {
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { tier: 'S+' })), ['Alpha']);
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { tier_display: 'Splus' })), ['Alpha']);
+  assert.deepEqual(names(filterDecks(ENRICHED_DECKS, { tier: ['B', 'Unranked'] })), ['Bravo', 'Delta']);
+});
+
+test('filterDecks rejects unknown fields, bounds and tiers', () => {
+  assert.throws(() => filterDecks(ENRICHED_DECKS, { popularity: { min: 1 } }), /Unknown field "popularity"/);
+  assert.throws(() => filterDecks(ENRICHED_DECKS, { rating: { above: 1 } }), /Unknown bound "above"/);
+  assert.throws(() => filterDecks(ENRICHED_DECKS, { tier: { min: 'Q' } }), /Unknown tier "Q"/);
+  assert.deepEqual(validateConditions({ rating: { min: '80' } }), ['rating.min must be a number']);
+});
+
+// ============================================================================
+// getDeckNameKey
+// ============================================================================
+
+test('getDeckNameKey ignores Pokémon order, case and spacing', () => {
+  const rules = CONFIG.canonicalization;
+  const key = getDeckNameKey('Pikachu ex Tapu Koko ex', rules);
+  assert.equal(getDeckNameKey('Tapu Koko ex  Pikachu ex', rules), key);
+  assert.equal(getDeckNameKey('tapu koko ex pikachu ex', rules), key);
+  assert.notEqual(getDeckNameKey('Pikachu Tapu Koko ex', rules), key);
+});
+
+test('getDeckNameKey keeps prefixes and suffixes with their Pokémon', () => {
+  const rules = CONFIG.canonicalization;
+  assert.equal(getDeckNameKey('Alolan Raichu Pikachu ex', rules), 'alolan raichu|pikachu ex');
+  assert.notEqual(getDeckNameKey('Raichu Alolan Pikachu ex', rules), getDeckNameKey('Alolan Raichu Pikachu ex', rules));
+});
+
+test('getDeckNameKey keeps the order when orderInsensitive is off', () => {
+  const rules = { ...CONFIG.canonicalization, orderInsensitive: false };
+  assert.notEqual(getDeckNameKey('Greninja Suicune ex', rules), getDeckNameKey('Suicune ex Greninja', rules));
+});
+
+test('canonicalizeDecks merges reordered names under the most played spelling', () => {
+  const { decks, merges } = canonicalizeDecks([
+    record('Suicune ex Greninja', { count: 5 }),
+    record('Greninja Suicune ex', { count: 2 }),
+    record('Darkrai ex')
+  ]);
+  assert.deepEqual(decks.map(deck => [deck.deck_name, deck.count, deck.wins]), [
+    ['Suicune ex Greninja', 7, 20],
+    ['Darkrai ex', 4, 10]
+  ]);
+  assert.deepEqual(merges, [
+    { deck_name: 'Suicune ex Greninja', sources: ['Suicune ex Greninja', 'Greninja Suicune ex'], records: 2 }
+  ]);
+});
+
+// ============================================================================
+// aggregateDatedRecords
+// ============================================================================
+
+test('aggregateDatedRecords halves a record one half-life older than the newest', () => {
+  const [deck] = aggregateDatedRecords([
+    record('Alpha', { date: '2025-03-15', count: 2, wins: 6, losses: 4, ties: 0 }),
+    record('Alpha', { date: '2025-03-01', count: 2, wins: 6, losses: 4, ties: 0 })
+  ], { halfLifeDays: 14, windowDays: null, referenceDate: null });
+
+  assert.equal(deck.count, 3);
+  assert.equal(deck.wins, 9);
+  assert.equal(deck.losses, 6);
+  assert.equal(deck.weighted_sq_matches, 10 + 0.25 * 10);
+});
+
+test('aggregateDatedRecords drops records outside the window and decks left without matches', () => {
+  const decks = aggregateDatedRecords([
+    record('Alpha', { date: '2025-03-15' }),
+    record('Bravo', { date: '2025-01-01' })
+  ], { halfLifeDays: null, windowDays: 30, referenceDate: null });
+
+  assert.deepEqual(names(decks), ['Alpha']);
+  assert.equal(decks[0].wins, 10);
+});
+
+test('aggregateDatedRecords measures ages from referenceDate when set', () => {
+  const [deck] = aggregateDatedRecords([record('Alpha', { date: '2025-03-01' })],
+    { halfLifeDays: 7, windowDays: null, referenceDate: '2025-03-15' });
+  assert.equal(deck.wins, 2.5);
+});
+
+// ============================================================================
+// validateDeckRecords
+// ============================================================================
+
+test('validateDeckRecords quarantines records that would break the pipeline', () => {
+  const { valid, rejected } = validateDeckRecords([
+    record('Alpha'),
+    record('', {}),
+    record('Bravo', { wins: -1 }),
+    record('Charlie', { losses: '8' }),
+    record('Delta', { wins: 0, losses: 0, ties: 0 }),
+    null
+  ]);
+
+  assert.deepEqual(names(valid), ['Alpha']);
+  assert.deepEqual(rejected.map(entry => entry.index), [1, 2, 3, 4, 5]);
+  assert.match(rejected[1].reasons[0], /wins must not be negative/);
+  assert.match(rejected[3].reasons[0], /no matches played/);
+});
+
+test('validateDeckRecords warns about fractional counts without rejecting them', () => {
+  const { valid, warnings } = validateDeckRecords([record('Alpha', { wins: 10.5 })]);
+  assert.equal(valid.length, 1);
+  assert.deepEqual(warnings.map(entry => entry.reasons), [['wins is not a whole number (got 10.5)']]);
+});
+
+test('validateDeckRecords requires dates only once a record has a valid one', () => {
+  const undated = validateDeckRecords([record('Alpha'), record('Bravo', { date: '' })]);
+  assert.deepEqual(names(undated.valid), ['Alpha']);
+  assert.match(undated.rejected[0].reasons[0], /date is not a valid date/);
+
+  const dated = validateDeckRecords([record('Alpha', { date: '2025-03-01' }), record('Bravo')]);
+  assert.deepEqual(names(dated.valid), ['Alpha']);
+  assert.deepEqual(dated.rejected[0].reasons, ['date is missing (other records are dated)']);
+});